@@ -0,0 +1,137 @@
+const { http } = require("../services/http");
+const { rangeStartDate } = require("./ranges");
+
+/* ------------------------------------------------------
+   EODHD
+------------------------------------------------------ */
+const EODHD_KEY = process.env.EODHD_API_KEY;
+const BASE_URL = "https://eodhd.com/api";
+
+const INDEX_OVERRIDES = {
+  "^GSPC": "GSPC.INDX",
+  "^NDX": "NDX.INDX",
+  "^DJI": "DJI.INDX",
+  "^J200.JO": "J200.INDX"
+};
+
+const PERIODS = { "1d": "d", "1wk": "w", "1mo": "m" };
+
+function symbolFor(instrument) {
+  if (instrument.providerSymbols?.eodhd) return instrument.providerSymbols.eodhd;
+
+  switch (instrument.assetClass) {
+    case "us-stock":
+      return instrument.symbol.endsWith(".US") ? instrument.symbol : `${instrument.symbol}.US`;
+    case "jse-stock":
+      return instrument.symbol.replace(/\.JO$/, ".JSE");
+    case "forex":
+      return `${instrument.name.replace("/", "")}.FOREX`;
+    case "crypto":
+      return `${instrument.symbol}.CC`;
+    case "index":
+      return INDEX_OVERRIDES[instrument.symbol] || null;
+    default:
+      return null;
+  }
+}
+
+// JSE listings are priced in cents on EODHD, as on Yahoo
+function currencyFor(instrument) {
+  if (instrument.assetClass === "jse-stock") return "ZAc";
+  if (instrument.assetClass === "us-stock") return "USD";
+  return null;
+}
+
+async function getQuote(instrument) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(`${BASE_URL}/real-time/${symbol}?api_token=${EODHD_KEY}&fmt=json`);
+
+  if (!r.data) throw new Error(`No data for ${symbol}`);
+
+  return {
+    price: parseFloat(r.data.close),
+    previousClose: parseFloat(r.data.previousClose),
+    volume: Number.isFinite(r.data.volume) ? r.data.volume : null,
+    currency: currencyFor(instrument),
+    timestamp: r.data.timestamp ? new Date(r.data.timestamp * 1000).toISOString() : null
+  };
+}
+
+async function getHistory(instrument, interval, range) {
+  const period = PERIODS[interval];
+  if (!period) throw new Error(`EODHD does not support interval ${interval}`);
+
+  const symbol = symbolFor(instrument);
+  const from = rangeStartDate(range);
+  const r = await http.get(
+    `${BASE_URL}/eod/${symbol}?api_token=${EODHD_KEY}&period=${period}${from ? `&from=${from}` : ""}&fmt=json`
+  );
+
+  if (!Array.isArray(r.data)) throw new Error(`No history for ${symbol}`);
+
+  const candles = r.data
+    .filter(d => typeof d.close === "number")
+    .map(d => ({
+      timestamp: new Date(`${d.date}T00:00:00Z`).toISOString(),
+      open: d.open ?? null,
+      high: d.high ?? null,
+      low: d.low ?? null,
+      close: d.close,
+      volume: d.volume ?? null
+    }));
+
+  return {
+    currency: currencyFor(instrument),
+    exchange: symbol.split(".").pop(),
+    timezone: "UTC",
+    missing: r.data.length - candles.length,
+    candles
+  };
+}
+
+// Company fundamentals; market cap is reported in the listing's major currency
+async function getProfile(instrument) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(
+    `${BASE_URL}/fundamentals/${symbol}?api_token=${EODHD_KEY}&filter=Highlights::MarketCapitalization,SharesStats::SharesOutstanding&fmt=json`
+  );
+
+  const marketCap = r.data?.["Highlights::MarketCapitalization"];
+  const sharesOutstanding = r.data?.["SharesStats::SharesOutstanding"];
+  if (!marketCap && !sharesOutstanding) throw new Error(`No fundamentals for ${symbol}`);
+
+  return {
+    marketCap: Number.isFinite(marketCap) ? marketCap : null,
+    sharesOutstanding: Number.isFinite(sharesOutstanding) ? sharesOutstanding : null
+  };
+}
+
+// Biggest gainers and losers from EODHD's screener: [{ name, symbol, change }]
+async function getTopMovers(limit) {
+  const side = async (screener) => {
+    const r = await http.get(`${BASE_URL}/top?api_token=${EODHD_KEY}&screener=${screener}&limit=${limit}&fmt=json`);
+    if (!Array.isArray(r.data)) throw new Error(`No ${screener} data`);
+
+    return r.data.map(it => ({
+      name: it.name || it.code,
+      symbol: it.code,
+      change: parseFloat(it.change_percent ?? 0)
+    }));
+  };
+
+  const [gainers, losers] = await Promise.all([side("most_gainer_stocks"), side("most_loser_stocks")]);
+  return [...gainers, ...losers];
+}
+
+module.exports = {
+  name: "eodhd",
+  // All-World plan: 1000 calls/minute, 100k/day
+  hosts: ["eodhd.com"],
+  limits: { rps: 10, concurrency: 4, dailyBudget: 100000 },
+  isConfigured: () => Boolean(EODHD_KEY),
+  symbolFor,
+  getQuote,
+  getHistory,
+  getProfile,
+  getTopMovers
+};
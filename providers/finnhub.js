@@ -0,0 +1,46 @@
+const { http } = require("../services/http");
+
+/* ------------------------------------------------------
+   FINNHUB (US equities only on our plan)
+------------------------------------------------------ */
+const FINNHUB_KEY = process.env.FINNHUB_API_KEY;
+
+function symbolFor(instrument) {
+  if (instrument.providerSymbols?.finnhub) return instrument.providerSymbols.finnhub;
+  if (instrument.assetClass !== "us-stock") return null;
+  return instrument.symbol.replace(/\.US$/, "");
+}
+
+async function getQuote(instrument) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(`https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${FINNHUB_KEY}`);
+
+  // Finnhub answers unknown symbols with an all-zero quote
+  if (!r.data || !r.data.c) throw new Error(`No quote for ${symbol}`);
+
+  return {
+    price: r.data.c,
+    previousClose: r.data.pc,
+    currency: "USD",
+    timestamp: r.data.t ? new Date(r.data.t * 1000).toISOString() : null
+  };
+}
+
+// Market news by Finnhub category ("general", "forex", "crypto", "merger"), in Finnhub's article shape
+async function getNews(category) {
+  const r = await http.get(`https://finnhub.io/api/v1/news?category=${category}&token=${FINNHUB_KEY}`);
+
+  if (!Array.isArray(r.data)) throw new Error("Invalid news response");
+  return r.data;
+}
+
+module.exports = {
+  name: "finnhub",
+  // Free plan: 60 calls/minute
+  hosts: ["finnhub.io"],
+  limits: { rps: 1, burst: 10, concurrency: 4 },
+  isConfigured: () => Boolean(FINNHUB_KEY),
+  symbolFor,
+  getQuote,
+  getNews
+};
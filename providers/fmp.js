@@ -0,0 +1,68 @@
+const { http } = require("../services/http");
+
+/* ------------------------------------------------------
+   FINANCIAL MODELING PREP
+------------------------------------------------------ */
+const FMP_KEY = process.env.FMP_API_KEY;
+
+const SYMBOL_OVERRIDES = {
+  "GC=F": "GCUSD",
+  "SI=F": "SIUSD",
+  "PL=F": "PLUSD",
+  "CL=F": "CLUSD"
+};
+
+function symbolFor(instrument) {
+  if (instrument.providerSymbols?.fmp) return instrument.providerSymbols.fmp;
+  if (SYMBOL_OVERRIDES[instrument.symbol]) return SYMBOL_OVERRIDES[instrument.symbol];
+
+  switch (instrument.assetClass) {
+    case "us-stock":
+      return instrument.symbol.replace(/\.US$/, "");
+    case "index":
+      return ["^GSPC", "^NDX", "^DJI"].includes(instrument.symbol) ? instrument.symbol : null;
+    default:
+      return null;
+  }
+}
+
+async function getQuote(instrument) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(
+    `https://financialmodelingprep.com/api/v3/quote/${encodeURIComponent(symbol)}?apikey=${FMP_KEY}`
+  );
+
+  const d = Array.isArray(r.data) ? r.data[0] : null;
+  if (!d) throw new Error(`No quote for ${symbol}`);
+
+  return {
+    price: d.price,
+    previousClose: d.previousClose,
+    volume: d.volume ?? null,
+    currency: instrument.assetClass === "us-stock" || instrument.assetClass === "commodity" ? "USD" : null,
+    timestamp: d.timestamp ? new Date(d.timestamp * 1000).toISOString() : null
+  };
+}
+
+// Raw FMP calendar rows ({ date, country, event, actual, estimate, previous, impact, currency }) between two YYYY-MM-DD dates
+async function getEconomicCalendar(fromDate, toDate) {
+  const r = await http.get(
+    `https://financialmodelingprep.com/api/v3/economic_calendar?from=${fromDate}&to=${toDate}&apikey=${FMP_KEY}`
+  );
+
+  if (!Array.isArray(r.data)) throw new Error("Invalid economic calendar response");
+  return r.data;
+}
+
+module.exports = {
+  name: "fmp",
+  // Free plan: 250 calls/day
+  hosts: ["financialmodelingprep.com"],
+  limits: { rps: 5, concurrency: 2, dailyBudget: 250 },
+  // Too scarce for background refreshes; only spent on demand
+  metered: true,
+  isConfigured: () => Boolean(FMP_KEY),
+  symbolFor,
+  getQuote,
+  getEconomicCalendar
+};
@@ -0,0 +1,222 @@
+const yahoo = require("./yahoo");
+const twelvedata = require("./twelvedata");
+const eodhd = require("./eodhd");
+const finnhub = require("./finnhub");
+const fmp = require("./fmp");
+const { useScheduler } = require("../services/http");
+const { createUpstreamScheduler } = require("../services/upstream");
+
+/* ------------------------------------------------------
+   PROVIDER CHAINS
+   Every provider exposes symbolFor(instrument), getQuote(instrument)
+   and optionally getHistory(instrument, interval, range). Providers
+   are tried in order until one answers. An instrument's
+   providerSymbols (from the instrument config) override symbolFor.
+   Providers flagged `metered` (small daily quotas) are skipped
+   when a caller passes { metered: false }, as the pre-warming
+   jobs do, so scheduled refreshes never drain them.
+------------------------------------------------------ */
+const PROVIDER_CHAINS = {
+  forex: [yahoo, twelvedata, eodhd],
+  index: [yahoo, eodhd, fmp],
+  commodity: [yahoo, twelvedata, fmp],
+  crypto: [yahoo, twelvedata, eodhd],
+  "jse-stock": [yahoo, eodhd],
+  "us-stock": [eodhd, finnhub, fmp, yahoo]
+};
+
+// Quotes in minor units (e.g. JSE cents) are rescaled to the major currency
+const MINOR_UNITS = {
+  ZAc: "ZAR",
+  GBp: "GBP",
+  GBX: "GBP"
+};
+
+function normalizeUnits(currency) {
+  return MINOR_UNITS[currency]
+    ? { currency: MINOR_UNITS[currency], factor: 0.01 }
+    : { currency, factor: 1 };
+}
+
+function providersFor(instrument, method, { metered = true } = {}) {
+  const chain = PROVIDER_CHAINS[instrument.assetClass] || [yahoo];
+  return chain.filter(p =>
+    typeof p[method] === "function" && p.isConfigured() && (metered || !p.metered) && p.symbolFor(instrument)
+  );
+}
+
+/**
+ * Quote an instrument ({ name, symbol, assetClass }) from the first provider
+ * in its chain that answers. Resolves to
+ * { price, previousClose, change, volume, currency, timestamp, provider }.
+ */
+async function getQuote(instrument, options) {
+  const failures = [];
+
+  for (const provider of providersFor(instrument, "getQuote", options)) {
+    try {
+      const quote = await provider.getQuote(instrument);
+      const { price, previousClose } = quote;
+
+      if (!Number.isFinite(price) || !Number.isFinite(previousClose) || previousClose === 0) {
+        throw new Error(`Invalid prices: close=${price}, prev=${previousClose}`);
+      }
+
+      const { currency, factor } = normalizeUnits(quote.currency);
+
+      return {
+        price: price * factor,
+        previousClose: previousClose * factor,
+        change: ((price - previousClose) / previousClose) * 100,
+        volume: Number.isFinite(quote.volume) ? quote.volume : null,
+        currency,
+        timestamp: quote.timestamp,
+        provider: provider.name
+      };
+    } catch (err) {
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`No provider could quote ${instrument.name} (${failures.join("; ") || "no provider configured"})`);
+}
+
+/**
+ * Fetch normalized OHLCV candles from the first provider in the chain that
+ * supports the interval. Bars without a close are dropped and counted in
+ * `missing`. Resolves to { currency, exchange, timezone, missing, candles, provider }.
+ */
+async function getHistory(instrument, interval, range, options) {
+  const failures = [];
+
+  for (const provider of providersFor(instrument, "getHistory", options)) {
+    try {
+      const history = await provider.getHistory(instrument, interval, range);
+      if (!history.candles.length) throw new Error("No candles returned");
+
+      const { currency, factor } = normalizeUnits(history.currency);
+      const scale = (n) => (n === null ? null : n * factor);
+
+      return {
+        ...history,
+        currency,
+        candles: factor === 1
+          ? history.candles
+          : history.candles.map(c => ({
+            ...c,
+            open: scale(c.open),
+            high: scale(c.high),
+            low: scale(c.low),
+            close: scale(c.close)
+          })),
+        provider: provider.name
+      };
+    } catch (err) {
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`No provider has history for ${instrument.name} (${failures.join("; ") || "no provider configured"})`);
+}
+
+const PROVIDERS = [yahoo, twelvedata, eodhd, finnhub, fmp];
+const PROVIDER_NAMES = PROVIDERS.map(p => p.name);
+
+/* ------------------------------------------------------
+   UPSTREAM SCHEDULING
+   Every request to a provider's hosts is paced by the
+   shared scheduler.
+   Override a provider's limits with <NAME>_RPS, <NAME>_BURST,
+   <NAME>_CONCURRENCY and <NAME>_DAILY_BUDGET.
+------------------------------------------------------ */
+function configuredLimits(provider) {
+  const env = (suffix) => parseFloat(process.env[`${provider.name.toUpperCase()}_${suffix}`]);
+
+  return {
+    rps: env("RPS") || provider.limits.rps,
+    burst: env("BURST") || provider.limits.burst,
+    concurrency: env("CONCURRENCY") || provider.limits.concurrency,
+    dailyBudget: env("DAILY_BUDGET") || provider.limits.dailyBudget || null
+  };
+}
+
+const scheduler = createUpstreamScheduler({
+  limits: Object.fromEntries(PROVIDERS.map(p => [p.name, configuredLimits(p)]))
+});
+
+const providerForHost = (hostname) =>
+  PROVIDERS.find(p => p.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`)))?.name || null;
+
+useScheduler(scheduler, providerForHost);
+
+// Per-provider pacing, queue depth and remaining daily budget
+const upstreamStatus = () => scheduler.status();
+
+/**
+ * Company fundamentals from the first provider in the chain that has them.
+ * Resolves to { marketCap, sharesOutstanding, provider }.
+ */
+async function getProfile(instrument) {
+  const failures = [];
+
+  for (const provider of providersFor(instrument, "getProfile")) {
+    try {
+      return { ...(await provider.getProfile(instrument)), provider: provider.name };
+    } catch (err) {
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`No provider has fundamentals for ${instrument.name} (${failures.join("; ") || "no provider configured"})`);
+}
+
+const searchSymbols = (query, limit) => yahoo.searchSymbols(query, limit);
+
+/* ------------------------------------------------------
+   MARKET-WIDE FEEDS
+   Data not tied to one instrument (movers, news, the
+   economic calendar) comes from the first configured
+   provider that implements the method, in PROVIDERS order.
+------------------------------------------------------ */
+async function fromFirstProvider(method, args, what) {
+  const failures = [];
+
+  for (const provider of PROVIDERS.filter(p => typeof p[method] === "function" && p.isConfigured())) {
+    try {
+      return { data: await provider[method](...args), provider: provider.name };
+    } catch (err) {
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`No provider has ${what} (${failures.join("; ") || "no provider configured"})`);
+}
+
+// Top stock gainers and losers: [{ name, symbol, change, provider }]
+async function getTopMovers(limit) {
+  const { data, provider } = await fromFirstProvider("getTopMovers", [limit], "stock movers");
+  return data.map(mover => ({ ...mover, provider }));
+}
+
+// Finnhub-shaped articles for a news category
+async function getNews(category) {
+  return (await fromFirstProvider("getNews", [category], `${category} news`)).data;
+}
+
+// FMP-shaped calendar rows between two YYYY-MM-DD dates
+async function getEconomicCalendar(fromDate, toDate) {
+  return (await fromFirstProvider("getEconomicCalendar", [fromDate, toDate], "an economic calendar")).data;
+}
+
+module.exports = {
+  PROVIDER_CHAINS,
+  PROVIDER_NAMES,
+  getQuote,
+  getHistory,
+  getProfile,
+  searchSymbols,
+  getTopMovers,
+  getNews,
+  getEconomicCalendar,
+  upstreamStatus
+};
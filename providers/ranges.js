@@ -0,0 +1,36 @@
+/* ------------------------------------------------------
+   RANGE HELPERS SHARED BY HISTORY PROVIDERS
+------------------------------------------------------ */
+const RANGE_DAYS = {
+  "1d": 1,
+  "5d": 5,
+  "1mo": 31,
+  "3mo": 92,
+  "6mo": 183,
+  "1y": 366,
+  "2y": 731,
+  "5y": 1827,
+  "10y": 3653
+};
+
+// Calendar days covered by a Yahoo-style range ("1mo", "ytd", "30d"); null for "max"
+function rangeToDays(range) {
+  const days = /^(\d+)d$/.exec(range);
+  if (days) return parseInt(days[1], 10);
+
+  if (range === "ytd") {
+    const now = new Date();
+    const jan1 = Date.UTC(now.getUTCFullYear(), 0, 1);
+    return Math.ceil((now.getTime() - jan1) / 86400000) + 1;
+  }
+  return RANGE_DAYS[range] ?? null;
+}
+
+// YYYY-MM-DD of the first day in the range, or null for "max"
+function rangeStartDate(range) {
+  const days = rangeToDays(range);
+  if (days === null) return null;
+  return new Date(Date.now() - days * 86400000).toISOString().split("T")[0];
+}
+
+module.exports = { rangeToDays, rangeStartDate };
@@ -0,0 +1,131 @@
+const { http } = require("../services/http");
+const { rangeToDays } = require("./ranges");
+
+/* ------------------------------------------------------
+   TWELVEDATA
+------------------------------------------------------ */
+const TWELVEDATA_KEY = process.env.TWELVEDATA_API_KEY;
+const BASE_URL = "https://api.twelvedata.com";
+
+const SYMBOL_OVERRIDES = {
+  "GC=F": "XAU/USD",
+  "SI=F": "XAG/USD",
+  "PL=F": "XPT/USD",
+  "CL=F": "WTI/USD",
+  "^GSPC": "SPX",
+  "^NDX": "NDX",
+  "^DJI": "DJI"
+};
+
+// Yahoo interval → [TwelveData interval, minutes per bar]
+const INTERVALS = {
+  "1m": ["1min", 1],
+  "5m": ["5min", 5],
+  "15m": ["15min", 15],
+  "30m": ["30min", 30],
+  "60m": ["1h", 60],
+  "1h": ["1h", 60],
+  "1d": ["1day", 1440],
+  "1wk": ["1week", 10080],
+  "1mo": ["1month", 43200]
+};
+
+const MAX_OUTPUT_SIZE = 5000;
+
+// TwelveData bills one API credit per symbol, so a comma-separated batch costs as many calls
+const credits = (symbols) => ({ upstreamCost: String(symbols).split(",").length });
+
+function symbolFor(instrument) {
+  if (instrument.providerSymbols?.twelvedata) return instrument.providerSymbols.twelvedata;
+  if (SYMBOL_OVERRIDES[instrument.symbol]) return SYMBOL_OVERRIDES[instrument.symbol];
+
+  switch (instrument.assetClass) {
+    case "forex":
+      return instrument.name;
+    case "crypto":
+      return instrument.symbol.replace("-", "/");
+    case "us-stock":
+      return instrument.symbol.replace(/\.US$/, "");
+    default:
+      return null;
+  }
+}
+
+// TwelveData reports failures as 200 responses with status "error"
+function assertOk(data) {
+  if (!data || data.status === "error") {
+    throw new Error(data?.message || "Empty TwelveData response");
+  }
+}
+
+async function getQuote(instrument) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(
+    `${BASE_URL}/quote?symbol=${encodeURIComponent(symbol)}&apikey=${TWELVEDATA_KEY}`,
+    credits(symbol)
+  );
+  assertOk(r.data);
+
+  return {
+    price: parseFloat(r.data.close),
+    previousClose: parseFloat(r.data.previous_close),
+    currency: r.data.currency || null,
+    timestamp: r.data.timestamp ? new Date(r.data.timestamp * 1000).toISOString() : null
+  };
+}
+
+async function getHistory(instrument, interval, range) {
+  const mapped = INTERVALS[interval];
+  if (!mapped) throw new Error(`TwelveData does not support interval ${interval}`);
+
+  const [tdInterval, minutes] = mapped;
+  const days = rangeToDays(range);
+  const outputSize = days === null
+    ? MAX_OUTPUT_SIZE
+    : Math.min(MAX_OUTPUT_SIZE, Math.ceil((days * 1440) / minutes));
+
+  const symbol = symbolFor(instrument);
+  const r = await http.get(
+    `${BASE_URL}/time_series?symbol=${encodeURIComponent(symbol)}&interval=${tdInterval}&outputsize=${outputSize}&timezone=UTC&apikey=${TWELVEDATA_KEY}`,
+    credits(symbol)
+  );
+  assertOk(r.data);
+
+  const values = Array.isArray(r.data.values) ? r.data.values : [];
+  const num = (v) => (v === undefined || v === null || isNaN(parseFloat(v)) ? null : parseFloat(v));
+
+  // Values arrive newest first
+  const candles = values
+    .slice()
+    .reverse()
+    .map(v => ({
+      timestamp: new Date(`${v.datetime.replace(" ", "T")}${v.datetime.length > 10 ? "Z" : "T00:00:00Z"}`).toISOString(),
+      open: num(v.open),
+      high: num(v.high),
+      low: num(v.low),
+      close: num(v.close),
+      volume: num(v.volume)
+    }))
+    .filter(c => c.close !== null);
+
+  return {
+    currency: r.data.meta?.currency || null,
+    exchange: r.data.meta?.exchange || null,
+    timezone: "UTC",
+    missing: values.length - candles.length,
+    candles
+  };
+}
+
+module.exports = {
+  name: "twelvedata",
+  // Free plan: 8 credits/minute, 800/day (one credit per symbol)
+  hosts: ["api.twelvedata.com"],
+  limits: { rps: 8 / 60, burst: 8, concurrency: 2, dailyBudget: 800 },
+  // Too scarce for background refreshes; only spent on demand
+  metered: true,
+  isConfigured: () => Boolean(TWELVEDATA_KEY),
+  symbolFor,
+  getQuote,
+  getHistory
+};
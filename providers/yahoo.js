@@ -0,0 +1,116 @@
+const { http } = require("../services/http");
+
+/* ------------------------------------------------------
+   YAHOO FINANCE (chart API, no key required)
+------------------------------------------------------ */
+const YAHOO_CHART = "https://query1.finance.yahoo.com/v8/finance/chart";
+const YAHOO_SEARCH = "https://query2.finance.yahoo.com/v1/finance/search";
+
+// Yahoo quoteType → our asset class (anything else is not quotable here)
+const QUOTE_TYPES = {
+  INDEX: "index",
+  CURRENCY: "forex",
+  FUTURE: "commodity",
+  CRYPTOCURRENCY: "crypto"
+};
+
+const num = (n) => (typeof n === "number" ? n : null);
+
+// US stock symbols are stored EODHD-style ("AAPL.US"); Yahoo wants "AAPL"
+function symbolFor(instrument) {
+  if (instrument.providerSymbols?.yahoo) return instrument.providerSymbols.yahoo;
+  return instrument.symbol.replace(/\.US$/, "");
+}
+
+async function fetchChart(instrument, interval, range) {
+  const symbol = symbolFor(instrument);
+  const r = await http.get(`${YAHOO_CHART}/${encodeURIComponent(symbol)}?interval=${interval}&range=${range}`);
+  const data = r.data.chart?.result?.[0];
+  if (!data) throw new Error(`No chart data for ${symbol}`);
+  return data;
+}
+
+async function getQuote(instrument) {
+  const data = await fetchChart(instrument, "1d", "5d");
+
+  const quote = data.indicators.quote[0];
+  const closes = quote.close.filter(n => typeof n === "number");
+  if (closes.length < 2) throw new Error(`Insufficient data for ${instrument.symbol}`);
+
+  const timestamps = data.timestamp || [];
+  const lastBar = quote.close.findLastIndex(n => typeof n === "number");
+
+  return {
+    price: closes.at(-1),
+    previousClose: closes.at(-2),
+    volume: num(quote.volume?.[lastBar]),
+    currency: data.meta?.currency || null,
+    timestamp: timestamps.length ? new Date(timestamps.at(-1) * 1000).toISOString() : null
+  };
+}
+
+async function getHistory(instrument, interval, range) {
+  const data = await fetchChart(instrument, interval, range);
+
+  const timestamps = data.timestamp || [];
+  const quote = data.indicators?.quote?.[0] || {};
+  const candles = [];
+
+  timestamps.forEach((ts, i) => {
+    const close = num(quote.close?.[i]);
+    if (close === null) return;
+
+    candles.push({
+      timestamp: new Date(ts * 1000).toISOString(),
+      open: num(quote.open?.[i]),
+      high: num(quote.high?.[i]),
+      low: num(quote.low?.[i]),
+      close,
+      volume: num(quote.volume?.[i])
+    });
+  });
+
+  return {
+    currency: data.meta?.currency || null,
+    exchange: data.meta?.exchangeName || null,
+    timezone: data.meta?.exchangeTimezoneName || null,
+    // Bars Yahoo returned without a close (halts, holidays, gaps)
+    missing: timestamps.length - candles.length,
+    candles
+  };
+}
+
+// Symbol lookup for instruments outside the configured universe
+async function searchSymbols(query, limit = 10) {
+  const r = await http.get(`${YAHOO_SEARCH}?q=${encodeURIComponent(query)}&quotesCount=${limit}&newsCount=0`);
+
+  return (r.data?.quotes || [])
+    .filter(q => q.symbol)
+    .map(q => {
+      let assetClass = QUOTE_TYPES[q.quoteType] || null;
+      if (q.quoteType === "EQUITY") {
+        if (q.symbol.endsWith(".JO")) assetClass = "jse-stock";
+        else if (!q.symbol.includes(".")) assetClass = "us-stock";
+      }
+
+      return {
+        name: q.longname || q.shortname || q.symbol,
+        symbol: q.symbol,
+        assetClass,
+        exchange: q.exchDisp || q.exchange || null,
+        type: q.typeDisp || q.quoteType || null
+      };
+    });
+}
+
+module.exports = {
+  name: "yahoo",
+  // Unofficial API: stay polite to avoid being blocked
+  hosts: ["query1.finance.yahoo.com", "query2.finance.yahoo.com"],
+  limits: { rps: 10, concurrency: 6 },
+  isConfigured: () => true,
+  symbolFor,
+  getQuote,
+  getHistory,
+  searchSymbols
+};
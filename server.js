@@ -1,7 +1,27 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const providers = require("./providers");
+const { cache, createCache } = require("./services/cache");
+const { createQuoteStream } = require("./services/quoteStream");
+const { createStore, DATA_DIR } = require("./services/store");
+const { createAlertEngine } = require("./services/alerts");
+const { parseIndicator, computeIndicator } = require("./services/indicators");
+const { STRENGTH_CURRENCIES, scoreCurrencies, rankScores, strengthLabel } = require("./services/currencyStrength");
+const { calculateCorrelation, closesByDate, alignedReturns, correlationPValue } = require("./services/stats");
+const { HOLDING_CURRENCIES, validatePosition, valuePositions } = require("./services/portfolio");
+const { buildAssetMatchers, tagArticle, dedupeArticles } = require("./services/news");
+const { createNewsAggregator } = require("./services/newsSources");
+const { createInstrumentRegistry } = require("./services/instruments");
+const { REACTION_INSTRUMENTS, releaseValue, seriesKey, computeSurprise, measureReaction } = require("./services/releaseAnalysis");
+const { buildRateGraph, findRate } = require("./services/fx");
+const { createAuth } = require("./services/auth");
+const { createRateLimiter } = require("./services/rateLimit");
+const { createJobScheduler } = require("./services/jobs");
+const { MARKET_SESSIONS, isSessionOpen } = require("./services/marketHours");
 
 const app = express();
 
@@ -16,129 +36,234 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: [
+    'X-Total-Count', 'X-Next-Cursor', 'Link',
+    'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'
+  ]
 }));
 
 app.use(express.json());
 
+// Behind a proxy (Render, Vercel, nginx) set TRUST_PROXY so req.ip is the client, not the proxy:
+// a hop count ("1"), "true", or Express's address list ("loopback, 10.0.0.0/8"). Without it every
+// anonymous client shares the proxy's rate-limit buckets, so one client can exhaust the login limit for all.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+}
+
 /* ------------------------------------------------------
    CONFIG / KEYS
 ------------------------------------------------------ */
-const EODHD_KEY = process.env.EODHD_API_KEY;
-const TWELVEDATA_KEY = process.env.TWELVEDATA_API_KEY;
-const FINNHUB_KEY = process.env.FINNHUB_API_KEY;
-const FMP_KEY = process.env.FMP_API_KEY;
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+// Hosts (comma separated; subdomains included) that alert rules may name as their own webhook
+const ALERT_WEBHOOK_HOSTS = (process.env.ALERT_WEBHOOK_HOSTS || "")
+  .split(",")
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean);
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const ALERT_CHECK_INTERVAL_MS = parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+const JWT_SECRET = process.env.JWT_SECRET;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 120;
+// Set PREWARM=false to fill caches only on demand (e.g. local development)
+const PREWARM_ENABLED = process.env.PREWARM !== "false";
 const PORT = process.env.PORT || 5000;
+const INSTRUMENTS_FILE = process.env.INSTRUMENTS_FILE || path.join(__dirname, "config", "instruments.json");
+const NEWS_SOURCES_FILE = process.env.NEWS_SOURCES_FILE || path.join(__dirname, "config", "news-sources.json");
+
+// SARB MPC announcement schedule; add the next year's dates when the SARB publishes them
+const SARB_MPC_FILE = process.env.SARB_MPC_FILE || path.join(__dirname, "config", "sarb-mpc.json");
 
 /* ------------------------------------------------------
-   CACHES
+   CACHE TTLS
 ------------------------------------------------------ */
 const MOVERS_CACHE_TTL = 2 * 60 * 1000;
 const GENERIC_TTL = 60 * 1000;
+const NEWS_TTL = 5 * 60 * 1000;
 const HEATMAP_TTL = 5 * 60 * 1000;
 const CALENDAR_TTL = 6 * 60 * 60 * 1000;
+// An empty calendar is retried sooner, but not so often that FMP's daily quota drains
+const CALENDAR_RETRY_TTL = 15 * 60 * 1000;
 const CORRELATION_TTL = 60 * 60 * 1000; // 1 hour
-
-let moversCache = null;
-let moversCacheTimestamp = 0;
-let indicesCache = null;
-let indicesCacheTime = 0;
-let forexCache = null;
-let forexCacheTime = 0;
-let heatmapCache = null;
-let heatmapCacheTime = 0;
-let cryptoCache = null;
-let cryptoCacheTime = 0;
-let commoditiesCache = null;
-let commoditiesCacheTime = 0;
-let cryptoHeatmapCache = null;
-let cryptoHeatmapCacheTime = 0;
-let calendarCache = null;
-let calendarCacheTime = 0;
-let newsCache = null;
-let newsCacheTime = 0;
-let correlationCache = {};
-let correlationCacheTime = 0;
+const HISTORY_TTL = 15 * 60 * 1000;
+const PROFILE_TTL = 24 * 60 * 60 * 1000;
+// The screener universe is large; serve the last snapshot while a refresh runs
+const JSE_STALE_TTL = 10 * 60 * 1000;
+const QUOTE_TTL = 15 * 1000;
+const STREAM_REFRESH_MS = 15 * 1000;
+const STREAM_HEARTBEAT_MS = 20 * 1000;
+const STREAM_MAX_SYMBOLS = 50;
+const QUOTES_MAX_SYMBOLS = 50;
 
 /* ------------------------------------------------------
-   SYMBOLS
+   AUTHENTICATION
 ------------------------------------------------------ */
+if (!JWT_SECRET) console.warn("⚠️ JWT_SECRET not set; user sessions will not survive a restart");
+
+const auth = createAuth({
+  keys: createStore("api-keys"),
+  users: createStore("users"),
+  jwtSecret: JWT_SECRET || crypto.randomBytes(32).toString("hex")
+});
 
-const FOREX_PAIRS = [
-  "EUR/USD",
-  "GBP/USD",
-  "USD/JPY",
-  "USD/ZAR",
-  "EUR/ZAR",
-  "GBP/ZAR",
-  "AUD/USD",
-  "USD/CHF"
+// Routes (relative to /api) open to anonymous clients: the cached dashboard reads, whose
+// upstream cost does not grow with traffic. Routes that spend provider quota per request
+// (history, indicators, quotes, streams, release reactions) and per-user data need a key or
+// session. Admin routes check ADMIN_API_KEY themselves.
+const PUBLIC_ROUTES = [
+  /^\/auth\/(register|login)$/,
+  /^\/search$/,
+  /^\/instrument\/[^/]+$/,
+  /^\/news(\/sources)?$/,
+  /^\/(indices|forex|commodities|crypto|us-stocks|jse-stocks|sa-markets|all-movers)$/,
+  /^\/(forex|crypto)-heatmap$/,
+  /^\/convert(\/table)?$/,
+  /^\/(forex-strength|currency-strength|currency-strength\/history)$/,
+  /^\/correlation-matrix$/,
+  /^\/economic-calendar$/,
+  /^\/status$/
 ];
+const ADMIN_ROUTES = /^\/admin\//;
 
-const YAHOO_COMMODITY_SYMBOLS = {
-  "Gold": "GC=F",
-  "Silver": "SI=F",
-  "Platinum": "PL=F",
-  "Crude Oil": "CL=F"
-};
+// EventSource and calendar subscriptions cannot set headers, so these take ?api_key= (API keys only)
+const QUERY_KEY_ROUTES = [/^\/stream$/, /^\/economic-calendar\.ics$/];
 
-const INDEX_SYMBOLS = {
-  "S&P 500": "^GSPC",
-  "NASDAQ 100": "^NDX",
-  "Dow Jones": "^DJI",
-  "JSE Top 40": "^J200.JO"
-};
+const isPublicRoute = (path) => PUBLIC_ROUTES.some(pattern => pattern.test(path));
 
-const YAHOO_FOREX_SYMBOLS = {
-  "EUR/USD": "EURUSD=X",
-  "GBP/USD": "GBPUSD=X",
-  "USD/JPY": "USDJPY=X",
-  "USD/ZAR": "USDZAR=X",
-  "EUR/ZAR": "EURZAR=X",
-  "GBP/ZAR": "GBPZAR=X",
-  "AUD/USD": "AUDUSD=X",
-  "USD/CHF": "USDCHF=X"
-};
+const bearerCredential = (req) => (req.get("Authorization") || "").replace(/^Bearer\s+/i, "").trim();
 
-const YAHOO_HEATMAP_SYMBOLS = {
-  "EUR/USD": "EURUSD=X",
-  "GBP/USD": "GBPUSD=X",
-  "USD/JPY": "USDJPY=X",
-  "USD/ZAR": "USDZAR=X",
-  "EUR/ZAR": "EURZAR=X",
-  "GBP/ZAR": "GBPZAR=X",
-  "AUD/USD": "AUDUSD=X",
-  "USD/CHF": "USDCHF=X",
-  Gold: "GLD",
-  Silver: "SLV",
-  Platinum: "PPLT",
-  "Crude Oil": "USO"
-};
+app.use("/api", (req, res, next) => {
+  if (ADMIN_ROUTES.test(req.path)) return next();
 
-// ✅ Correlation Matrix Assets
-const CORRELATION_ASSETS = {
-  "USD Index": "DX-Y.NYB",
-  "Gold": "GC=F",
-  "Silver": "SI=F",
-  "Crude Oil": "CL=F",
-  "Platinum": "PL=F",
-  "EUR/USD": "EURUSD=X",
-  "Bitcoin": "BTC-USD",
-  "S&P 500": "^GSPC",
-  "JSE Top 40": "^J200.JO"
-};
+  const queryKey = typeof req.query.api_key === "string" ? req.query.api_key : "";
+  const header = bearerCredential(req);
+
+  // Query strings end up in logs and referrers, so anywhere else the key must be sent as a header
+  if (queryKey && !header && !QUERY_KEY_ROUTES.some(pattern => pattern.test(req.path))) {
+    return res.status(400).json({ error: "api_key is only accepted on /api/stream and /api/economic-calendar.ics; send an Authorization header" });
+  }
+
+  const credential = header || queryKey;
+  req.principal = header ? auth.authenticate(header) : auth.authenticate(queryKey, { keysOnly: true });
+
+  if (credential && !req.principal) {
+    return res.status(401).set("WWW-Authenticate", 'Bearer error="invalid_token"').json({ error: "Invalid or expired credentials" });
+  }
+  if (!req.principal && !isPublicRoute(req.path)) {
+    return res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "Authentication required: send an API key or session token" });
+  }
+
+  next();
+});
 
-const YAHOO_CHART = "https://query1.finance.yahoo.com/v8/finance/chart";
+// Alerts, portfolios and watchlists belong to whoever created them: a user (through any of
+// their sessions or keys) or, for keys not tied to a user, the key itself
+const ownerOf = (principal) => ({ userId: principal.userId || null, keyId: principal.keyId || null });
+
+const ownedBy = (principal) => (record) =>
+  principal.userId ? record.userId === principal.userId : !record.userId && record.keyId === principal.keyId;
+
+// The record if the caller owns it; anyone else's is reported as not found
+function ownedRecord(store, id, principal) {
+  const record = store.get(id);
+  return record && ownedBy(principal)(record) ? record : null;
+}
 
 /* ------------------------------------------------------
-   HELPERS
+   RATE LIMITING
+------------------------------------------------------ */
+const MINUTE_MS = 60 * 1000;
+
+// Per-client limits, first match wins. Routes that fan out to many upstream calls on a miss get the tightest ones.
+const RATE_LIMIT_RULES = [
+  { name: "auth", route: /^\/auth\/(register|login)$/, limit: 10, windowMs: 15 * MINUTE_MS },
+  { name: "heatmaps", route: /^\/(forex|crypto)-heatmap$/, limit: 6, windowMs: MINUTE_MS },
+  { name: "correlation", route: /^\/correlation(-matrix|\/rolling)$/, limit: 6, windowMs: MINUTE_MS },
+  { name: "movers", route: /^\/all-movers$/, limit: 10, windowMs: MINUTE_MS },
+  { name: "release-reaction", route: /^\/economic-calendar\/[^/]+\/reaction$/, limit: 10, windowMs: MINUTE_MS },
+  { name: "history", route: /^\/(history|indicators)\//, limit: 30, windowMs: MINUTE_MS },
+  { name: "screener", route: /^\/jse-stocks$/, limit: 30, windowMs: MINUTE_MS }
+];
+
+const rateLimiter = createRateLimiter({
+  rules: RATE_LIMIT_RULES,
+  defaultRule: { name: "default", limit: RATE_LIMIT_PER_MINUTE, windowMs: MINUTE_MS }
+});
+
+let proxyWarningLogged = false;
+
+// Runs after authentication so keys and users are limited as themselves rather than by IP
+app.use("/api", (req, res, next) => {
+  if (!TRUST_PROXY && !proxyWarningLogged && req.get("X-Forwarded-For")) {
+    proxyWarningLogged = true;
+    console.warn("⚠️ X-Forwarded-For received but TRUST_PROXY is not set; anonymous clients share one rate-limit bucket");
+  }
+
+  const client = req.principal?.id || `ip:${req.ip}`;
+  const result = rateLimiter.hit(client, req.path, req.principal?.name);
+
+  res.set({
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(result.resetAt / 1000))
+  });
+
+  if (!result.allowed) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: `Rate limit exceeded: ${result.limit} requests per ${result.rule.windowMs / 1000}s for ${result.rule.name} routes`,
+      retryAfter: result.retryAfterSeconds
+    });
+  }
+
+  next();
+});
+
+/* ------------------------------------------------------
+   SYMBOLS
 ------------------------------------------------------ */
-const http = axios.create({
-  timeout: 10000,
-  headers: { "User-Agent": "MaromeBot/1.0" }
+// The tracked universe (names, symbols, groups) lives in config/instruments.json;
+// admin additions and removals are overlaid from DATA_DIR so the shipped file stays as committed
+const instrumentRegistry = createInstrumentRegistry({
+  file: INSTRUMENTS_FILE,
+  overlayFile: path.join(DATA_DIR, "instruments-overlay.json"),
+  assetClasses: Object.keys(providers.PROVIDER_CHAINS),
+  providerNames: providers.PROVIDER_NAMES
 });
+instrumentRegistry.load();
+instrumentRegistry.watch();
+
+// Cached route lists are built from the universe, so they are dropped when it changes
+instrumentRegistry.onChange(() => cache.clear());
+
+// Yahoo chart intervals and the longest range each one supports
+const HISTORY_INTERVALS = {
+  "1m": "5d",
+  "2m": "1mo",
+  "5m": "1mo",
+  "15m": "1mo",
+  "30m": "1mo",
+  "60m": "2y",
+  "90m": "1mo",
+  "1h": "2y",
+  "1d": "max",
+  "5d": "max",
+  "1wk": "max",
+  "1mo": "max",
+  "3mo": "max"
+};
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Ordered shortest → longest so ranges can be compared by index
+const HISTORY_RANGES = ["1d", "5d", "1mo", "3mo", "6mo", "ytd", "1y", "2y", "5y", "10y", "max"];
+
+/* ------------------------------------------------------
+   HELPERS
+------------------------------------------------------ */
+// Runs fn over every item at once (the upstream scheduler paces the calls); keeps input order, drops empty results
+async function mapConcurrent(items, fn) {
+  return (await Promise.all(items.map(fn))).filter(result => result !== null && result !== undefined);
+}
 
 const formatMover = (name, symbol, pct, type) => ({
   name,
@@ -149,57 +274,373 @@ const formatMover = (name, symbol, pct, type) => ({
   trend: pct >= 0 ? "positive" : "negative"
 });
 
-// ✅ Pearson Correlation Calculation
-function calculateCorrelation(arr1, arr2) {
-  const n = arr1.length;
-  if (n !== arr2.length || n === 0) return 0;
+// "EUR/USD, Gold,BTC" → ["EUR/USD", "Gold", "BTC"]
+const parseSymbolList = (value) =>
+  String(value || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+
+// Opaque cursor over a (time, id) sort key
+const encodeCursor = ({ time, id }) => Buffer.from(`${time}|${id}`).toString("base64url");
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), "base64url").toString().split("|");
+  return time && id && !isNaN(Number(time)) ? { time: Number(time), id } : null;
+}
+
+// Items strictly after the cursor in an already sorted list, plus the cursor for the following page
+function paginateByCursor(items, { cursor, limit }, keyOf, descending = false) {
+  let start = 0;
+
+  if (cursor) {
+    start = items.findIndex(item => {
+      const key = keyOf(item);
+      const cmp = key.time - cursor.time || String(key.id).localeCompare(cursor.id);
+      return descending ? cmp < 0 : cmp > 0;
+    });
+    if (start === -1) start = items.length;
+  }
+
+  const page = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+
+  return { page, nextCursor: hasMore ? encodeCursor(keyOf(page.at(-1))) : null };
+}
+
+// Pagination metadata travels in headers so list bodies stay plain arrays.
+// `next` holds the query params of the following page ({ cursor } or { offset }).
+function setPaginationHeaders(req, res, total, next) {
+  res.set("X-Total-Count", String(total));
+  if (!next) return;
+
+  const params = new URLSearchParams({ ...req.query, ...next });
+  if (next.cursor) res.set("X-Next-Cursor", next.cursor);
+  res.set("Link", `<${req.baseUrl}${req.path}?${params}>; rel="next"`);
+}
+
+const normalizeSymbolKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Resolve a friendly name ("EUR/USD", "Gold"), alias or symbol to its instrument
+const resolveSymbol = (input) => instrumentRegistry.resolve(input);
+
+// Cached quote for a single resolved instrument
+function quoteInstrument(instrument, ttl = QUOTE_TTL) {
+  return cache.wrap(
+    `quote_${instrument.symbol}`,
+    () => providers.getQuote(instrument),
+    { ttl }
+  );
+}
+
+// Uniform quote shape shared by streaming and batch endpoints
+const formatQuote = (instrument, quote) => ({
+  name: instrument.name,
+  symbol: instrument.symbol,
+  assetClass: instrument.assetClass,
+  price: quote.price,
+  change: `${quote.change >= 0 ? "+" : ""}${quote.change.toFixed(2)}%`,
+  rawChange: quote.change,
+  trend: quote.change >= 0 ? "positive" : "negative",
+  currency: quote.currency,
+  provider: quote.provider,
+  timestamp: quote.timestamp
+});
+
+// Returns an error message for an unsupported interval/range pair, or null
+function validateHistoryParams(interval, range) {
+  if (!HISTORY_INTERVALS[interval]) {
+    return `Invalid interval "${interval}". Use one of: ${Object.keys(HISTORY_INTERVALS).join(", ")}`;
+  }
+
+  if (!HISTORY_RANGES.includes(range)) {
+    return `Invalid range "${range}". Use one of: ${HISTORY_RANGES.join(", ")}`;
+  }
+
+  const maxRange = HISTORY_INTERVALS[interval];
+  if (HISTORY_RANGES.indexOf(range) > HISTORY_RANGES.indexOf(maxRange)) {
+    return `Interval "${interval}" supports a range of at most "${maxRange}"`;
+  }
+
+  return null;
+}
+
+/* ------------------------------------------------------
+   ROUTE DATASETS
+------------------------------------------------------ */
+// Route datasets that back each asset class, so derived features see what the dashboard sees
+// load(options) passes options ({ metered }) through to the provider layer; `group` is the
+// instrument list a complete load has one row for
+const QUOTE_DATASETS = {
+  forex: { key: "forex", group: "forex", load: (options) => fetchForex(options), ttl: GENERIC_TTL },
+  commodity: { key: "commodities", group: "commodities", load: (options) => fetchCommodities(options), ttl: GENERIC_TTL },
+  crypto: { key: "crypto", group: "crypto", load: (options) => fetchCrypto(options), ttl: GENERIC_TTL },
+  index: { key: "indices", group: "indices", load: (options) => fetchIndices(options), ttl: GENERIC_TTL },
+  "jse-stock": {
+    key: "jse-stocks",
+    group: "jse-stocks",
+    load: (options) => fetchJseStocks(options),
+    ttl: GENERIC_TTL,
+    staleTtl: JSE_STALE_TTL
+  },
+  "us-stock": { key: "us-stocks", group: "us-stocks", load: (options) => fetchUsStocks(options), ttl: GENERIC_TTL }
+};
+
+const HEATMAP_DATASETS = {
+  forex: { key: "forex-heatmap", load: (options) => fetchForexHeatmap(options), ttl: HEATMAP_TTL },
+  commodity: { key: "forex-heatmap", load: (options) => fetchForexHeatmap(options), ttl: HEATMAP_TTL },
+  crypto: { key: "crypto-heatmap", load: (options) => fetchCryptoHeatmap(options), ttl: HEATMAP_TTL }
+};
+
+const hasGaps = (dataset, rows) =>
+  Boolean(dataset.group) && rows.length < instrumentRegistry.group(dataset.group).length;
+
+// Cache options for a dataset load. A load that skipped metered providers and left gaps is
+// served but already expired, so the next request retries with the metered fallbacks too.
+const datasetCacheOptions = (dataset, options, holdMs = null) => ({
+  ttl: (rows) => (options.metered === false && hasGaps(dataset, rows) ? 0 : holdMs ?? dataset.ttl),
+  staleTtl: dataset.staleTtl ?? holdMs ?? dataset.ttl
+});
+
+function loadQuoteDataset(assetClass, options = {}) {
+  const dataset = QUOTE_DATASETS[assetClass];
+  return cache.wrap(dataset.key, () => dataset.load(options), datasetCacheOptions(dataset, options));
+}
+
+function loadHeatmapDataset(assetClass) {
+  const dataset = HEATMAP_DATASETS[assetClass];
+  return cache.wrap(dataset.key, dataset.load, { ttl: dataset.ttl });
+}
+
+/* ------------------------------------------------------
+   DISPLAY CURRENCY
+------------------------------------------------------ */
+const DISPLAY_CURRENCIES = ["ZAR", "USD", "EUR", "GBP"];
+
+// Returns { currency } (null when not requested) or { error }
+function parseDisplayCurrency(query) {
+  if (query.currency === undefined || query.currency === "") return { currency: null };
+
+  const currency = String(query.currency).toUpperCase();
+  if (!DISPLAY_CURRENCIES.includes(currency)) {
+    return { error: `Invalid currency "${query.currency}". Use one of: ${DISPLAY_CURRENCIES.join(", ")}` };
+  }
+
+  return { currency };
+}
 
-  const mean1 = arr1.reduce((a, b) => a + b, 0) / n;
-  const mean2 = arr2.reduce((a, b) => a + b, 0) / n;
+// Cross rates over the live /api/forex pairs
+async function loadRateGraph() {
+  const rows = await loadQuoteDataset("forex").catch(err => {
+    console.warn("⚠️ FX rates unavailable:", err.message);
+    return [];
+  });
+  return buildRateGraph(rows);
+}
 
-  let numerator = 0;
-  let sum1 = 0;
-  let sum2 = 0;
+// The rate behind a conversion, or an explicit record that there is none
+function conversionRate(graph, from, to) {
+  const found = from ? findRate(graph, from, to) : null;
 
-  for (let i = 0; i < n; i++) {
-    const diff1 = arr1[i] - mean1;
-    const diff2 = arr2[i] - mean2;
-    numerator += diff1 * diff2;
-    sum1 += diff1 * diff1;
-    sum2 += diff2 * diff2;
+  if (!found) {
+    return {
+      from,
+      to,
+      rate: null,
+      error: from ? `No live ${from}/${to} rate available` : "Native currency unknown"
+    };
   }
 
-  const denominator = Math.sqrt(sum1 * sum2);
-  return denominator === 0 ? 0 : numerator / denominator;
+  return {
+    from,
+    to,
+    rate: found.rate,
+    path: found.path,
+    pairs: found.legs.map(l => l.pair),
+    asOf: found.asOf
+  };
+}
+
+const roundAmount = (value) => Math.round(value * 10000) / 10000;
+
+const rowNativeCurrency = (row) =>
+  row.currency || instrumentRegistry.resolve(row.symbol ?? row.name)?.currency || null;
+
+/**
+ * Adds `converted: { currency, price, fx }` to each row. price is null when
+ * no rate is available, and fx then carries the reason.
+ */
+async function convertRows(rows, currency) {
+  const graph = await loadRateGraph();
+  const rates = {};
+
+  return rows.map(row => {
+    const from = rowNativeCurrency(row);
+    const fx = (rates[from] ||= conversionRate(graph, from, currency));
+    const price = row.rawPrice;
+
+    return {
+      ...row,
+      converted: {
+        currency,
+        price: fx.rate !== null && Number.isFinite(price) ? roundAmount(price * fx.rate) : null,
+        fx
+      }
+    };
+  });
 }
 
 /* ------------------------------------------------------
    NEWS
 ------------------------------------------------------ */
-app.get("/api/news", async (req, res) => {
+const NEWS_CATEGORIES = ["general", "forex", "crypto", "merger"];
+const NEWS_DEFAULT_LIMIT = 50;
+const NEWS_MAX_LIMIT = 200;
+
+const NEWS_GROUPS = ["indices", "forex", "commodities", "jse-stocks", "us-stocks"];
+
+// Tickers are only matched where they are distinctive (JSE codes like CPI or SOL are common words)
+function newsAssets() {
+  return NEWS_GROUPS.flatMap(group => instrumentRegistry.group(group)).map(i => ({
+    name: i.name,
+    symbol: i.symbol,
+    assetClass: i.assetClass,
+    tickers: i.assetClass === "forex" ? [i.name.replace("/", "")]
+      : i.assetClass === "us-stock" ? [i.symbol.replace(/\.US$/, "")]
+      : []
+  }));
+}
+
+// Rebuilt whenever the instrument file changes
+let newsMatchers = null;
+instrumentRegistry.onChange(() => {
+  newsMatchers = null;
+});
+const currentNewsMatchers = () => (newsMatchers ||= buildAssetMatchers(newsAssets()));
+
+function loadNewsSources() {
   try {
-    if (newsCache && Date.now() - newsCacheTime < 5 * 60 * 1000) {
-      console.log("✅ Using cached news data");
-      return res.json(newsCache);
-    }
+    const sources = JSON.parse(fs.readFileSync(NEWS_SOURCES_FILE, "utf8"));
+    if (!Array.isArray(sources)) throw new Error("expected an array of sources");
+    return sources;
+  } catch (err) {
+    console.warn(`⚠️ No extra news sources loaded from ${NEWS_SOURCES_FILE}:`, err.message);
+    return [];
+  }
+}
 
-    console.log("📰 Fetching news from Finnhub...");
-    
-    const r = await http.get(
-      `https://finnhub.io/api/v1/news?category=general&token=${FINNHUB_KEY}`
-    );
+const newsAggregator = createNewsAggregator({ sources: loadNewsSources() });
+
+async function fetchNews(category = "general") {
+  console.log(`📰 Fetching ${category} news...`);
+
+  const articles = await providers.getNews(category);
+
+  console.log(`✅ Loaded ${articles.length} news articles`);
+
+  return articles;
+}
+
+// Finnhub merged with the RSS/HTML sources: newest first, deduplicated and asset-tagged.
+// Either side may fail on its own; only both failing is an error.
+async function loadNews(category) {
+  let finnhubError = null;
+
+  const [finnhub, local] = await Promise.all([
+    cache.wrap(`news_${category}`, () => fetchNews(category), { ttl: NEWS_TTL }).catch(err => {
+      finnhubError = err;
+      console.warn("⚠️ Finnhub news unavailable:", err.message);
+      return [];
+    }),
+    newsAggregator.articles(category)
+  ]);
+
+  if (finnhubError && !local.length) throw finnhubError;
+
+  const sorted = [...finnhub, ...local]
+    .sort((a, b) => b.datetime - a.datetime || String(b.id).localeCompare(String(a.id)));
+
+  const matchers = currentNewsMatchers();
+  return dedupeArticles(sorted).map(article => tagArticle(article, matchers));
+}
+
+// Accepts YYYY-MM-DD or any ISO timestamp; returns unix seconds
+function newsTime(value, endOfDay) {
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? "23:59:59" : "00:00:00"}Z` : value;
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
 
-    if (!r.data || !Array.isArray(r.data)) {
-      console.error("❌ Invalid news response from Finnhub");
-      return res.status(500).json({ error: "Failed to fetch news" });
+function parseNewsQuery(query) {
+  const category = String(query.category || "general").toLowerCase();
+  if (!NEWS_CATEGORIES.includes(category)) {
+    return { error: `category must be one of: ${NEWS_CATEGORIES.join(", ")}` };
+  }
+
+  const from = query.from ? newsTime(query.from, false) : null;
+  const to = query.to ? newsTime(query.to, true) : null;
+  if ((query.from && from === null) || (query.to && to === null)) {
+    return { error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps" };
+  }
+
+  // ?asset=Gold or ?asset=AAPL.US, comma separated
+  const assetInputs = parseSymbolList(query.asset);
+  const assets = [];
+  for (const input of assetInputs) {
+    const key = normalizeSymbolKey(input);
+    const asset = newsAssets().find(a => normalizeSymbolKey(a.name) === key || normalizeSymbolKey(a.symbol) === key);
+    if (!asset) return { error: `Unknown asset "${input}"` };
+    assets.push(asset.name);
+  }
+
+  const limit = query.limit === undefined ? NEWS_DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > NEWS_MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${NEWS_MAX_LIMIT}` };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) return { error: "Invalid cursor" };
+
+  return {
+    category,
+    keyword: query.q ? String(query.q).toLowerCase() : null,
+    sources: query.source ? parseSymbolList(query.source).map(s => s.toLowerCase()) : null,
+    from,
+    to,
+    assets: assets.length ? assets : null,
+    limit,
+    cursor
+  };
+}
+
+function filterNews(articles, filters) {
+  return articles.filter(article => {
+    if (filters.from !== null && article.datetime < filters.from) return false;
+    if (filters.to !== null && article.datetime > filters.to) return false;
+    if (filters.sources && !filters.sources.includes(String(article.source).toLowerCase())) return false;
+    if (filters.assets && !article.assets.some(a => filters.assets.includes(a.name))) return false;
+
+    if (filters.keyword) {
+      const text = `${article.headline || ""} ${article.summary || ""}`.toLowerCase();
+      if (!text.includes(filters.keyword)) return false;
     }
 
-    console.log(`✅ Loaded ${r.data.length} news articles`);
+    return true;
+  });
+}
+
+const newsCursorKey = (article) => ({ time: article.datetime, id: article.id });
+
+app.get("/api/news", async (req, res) => {
+  try {
+    const filters = parseNewsQuery(req.query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
 
-    newsCache = r.data;
-    newsCacheTime = Date.now();
+    const articles = filterNews(await loadNews(filters.category), filters);
+    const { page, nextCursor } = paginateByCursor(articles, filters, newsCursorKey, true);
 
-    res.json(r.data);
+    setPaginationHeaders(req, res, articles.length, nextCursor && { cursor: nextCursor });
+    res.json(page);
   } catch (err) {
     console.error("❌ /api/news error:", err.message);
     
@@ -212,44 +653,46 @@ app.get("/api/news", async (req, res) => {
   }
 });
 
+app.get("/api/news/sources", (req, res) => {
+  res.json(newsAggregator.status());
+});
+
 /* ------------------------------------------------------
    INDICES
 ------------------------------------------------------ */
-app.get("/api/indices", async (req, res) => {
-  try {
-    if (indicesCache && Date.now() - indicesCacheTime < GENERIC_TTL)
-      return res.json(indicesCache);
-
-    const results = [];
-
-    for (const [name, symbol] of Object.entries(INDEX_SYMBOLS)) {
-      try {
-        const r = await http.get(`${YAHOO_CHART}/${symbol}?interval=1d&range=5d`);
-        const data = r.data.chart?.result?.[0];
-        if (!data) continue;
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-        if (closes.length < 2) continue;
-
-        const pct = ((closes.at(-1) - closes.at(-2)) / closes.at(-2)) * 100;
-
-        results.push({
-          name,
-          symbol,
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          latest: closes.at(-1).toFixed(2),
-          rawChange: pct
-        });
-      } catch (err) {
-        console.warn(`⚠️ Index error ${symbol}:`, err.message);
-      }
+async function fetchIndices(options = {}) {
+  const results = await mapConcurrent(instrumentRegistry.group("indices"), async (instrument) => {
+    const { name, symbol } = instrument;
+
+    try {
+      const quote = await providers.getQuote(instrument, options);
+      const pct = quote.change;
 
-      await sleep(120);
+      return {
+        name,
+        symbol,
+        change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+        latest: quote.price.toFixed(2),
+        rawChange: pct,
+        rawPrice: quote.price,
+        provider: quote.provider
+      };
+    } catch (err) {
+      console.warn(`⚠️ Index error ${symbol}:`, err.message);
+      return null;
     }
+  });
 
-    indicesCache = results;
-    indicesCacheTime = Date.now();
-    res.json(results);
+  return results;
+}
+
+app.get("/api/indices", async (req, res) => {
+  try {
+    const { currency, error } = parseDisplayCurrency(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const results = await cache.wrap("indices", fetchIndices, { ttl: GENERIC_TTL });
+    res.json(currency ? await convertRows(results, currency) : results);
 
   } catch (err) {
     console.error("❌ /api/indices error:", err.message);
@@ -260,42 +703,39 @@ app.get("/api/indices", async (req, res) => {
 /* ------------------------------------------------------
    FOREX
 ------------------------------------------------------ */
-app.get("/api/forex", async (req, res) => {
-  try {
-    if (forexCache && Date.now() - forexCacheTime < GENERIC_TTL)
-      return res.json(forexCache);
-
-    const results = [];
+async function fetchForex(options = {}) {
+  const results = await mapConcurrent(instrumentRegistry.group("forex"), async (instrument) => {
+    const { name: pair, symbol } = instrument;
 
-    for (const [pair, symbol] of Object.entries(YAHOO_FOREX_SYMBOLS)) {
-      try {
-        const r = await http.get(`${YAHOO_CHART}/${symbol}?interval=1d&range=5d`);
-        const data = r.data.chart?.result?.[0];
-        if (!data) continue;
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-        if (closes.length < 2) continue;
-
-        const pct = ((closes.at(-1) - closes.at(-2)) / closes.at(-2)) * 100;
-
-        results.push({
-          pair,
-          name: pair,
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          trend: pct >= 0 ? "positive" : "negative",
-          price: closes.at(-1),
-          rawChange: pct
-        });
+    try {
+      const quote = await providers.getQuote(instrument, options);
+      const pct = quote.change;
 
-      } catch (err) {
-        console.warn(`⚠️ Yahoo FX error for ${symbol}:`, err.message);
-      }
+      return {
+        pair,
+        name: pair,
+        change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+        trend: pct >= 0 ? "positive" : "negative",
+        price: quote.price,
+        rawChange: pct,
+        rawPrice: quote.price,
+        provider: quote.provider,
+        // Quote time for FX conversions; null when the provider omits it, so asOf never overstates freshness
+        timestamp: quote.timestamp || null
+      };
 
-      await sleep(100);
+    } catch (err) {
+      console.warn(`⚠️ FX error for ${symbol}:`, err.message);
+      return null;
     }
+  });
 
-    forexCache = results;
-    forexCacheTime = Date.now();
+  return results;
+}
+
+app.get("/api/forex", async (req, res) => {
+  try {
+    const results = await cache.wrap("forex", fetchForex, { ttl: GENERIC_TTL });
     res.json(results);
 
   } catch (err) {
@@ -305,996 +745,1960 @@ app.get("/api/forex", async (req, res) => {
 });
 
 /* ------------------------------------------------------
-   FOREX STRENGTH
+   CURRENCY CONVERTER
 ------------------------------------------------------ */
-app.get("/api/forex-strength", async (req, res) => {
-  try {
-    const r = await http.get(`http://localhost:${PORT}/api/forex`).catch(() => null);
-    const data = r?.data || [];
+const CROSS_TABLE_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "AUD", "CHF", "ZAR"];
+// The table is n² path searches, so keep it to a readable size
+const CROSS_TABLE_MAX_CURRENCIES = 20;
 
-    const pairCount = { USD: 0, EUR: 0, GBP: 0, JPY: 0, AUD: 0, CHF: 0, ZAR: 0 };
-    const strength = { USD: 0, EUR: 0, GBP: 0, JPY: 0, AUD: 0, CHF: 0, ZAR: 0 };
+const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(value);
 
-    data.forEach(item => {
-      const pct = parseFloat(item.change);
-      const [base, quote] = item.pair.split("/");
+app.get("/api/convert", async (req, res) => {
+  try {
+    const from = String(req.query.from || "").toUpperCase();
+    const to = String(req.query.to || "").toUpperCase();
+    const amount = req.query.amount === undefined ? 1 : Number(req.query.amount);
 
-      pairCount[base]++;
-      pairCount[quote]++;
+    if (!isCurrencyCode(from) || !isCurrencyCode(to)) {
+      return res.status(400).json({ error: "from and to must be 3-letter currency codes" });
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return res.status(400).json({ error: "amount must be a non-negative number" });
+    }
 
-      if (pct > 0) {
-        strength[base] += pct;
-        strength[quote] -= pct;
-      } else if (pct < 0) {
-        strength[base] += pct;
-        strength[quote] -= pct;
-      }
-    });
+    const graph = await loadRateGraph();
+    if (!graph.size) return res.status(503).json({ error: "FX rates unavailable" });
 
-    const avgStrength = {};
-    Object.keys(strength).forEach(currency => {
-      if (pairCount[currency] > 0) {
-        avgStrength[currency] = strength[currency] / pairCount[currency];
-      } else {
-        avgStrength[currency] = 0;
-      }
-    });
+    const found = findRate(graph, from, to);
+    if (!found) return res.status(422).json({ error: `No quoted pairs connect ${from} and ${to}` });
 
-    const result = {};
-    Object.keys(avgStrength).forEach(currency => {
-      const avg = avgStrength[currency];
-      result[currency] = 
-        avg >= 0.3 ? "Strong" :
-        avg <= -0.3 ? "Weak" :
-        "Neutral";
+    res.json({
+      from,
+      to,
+      amount,
+      result: roundAmount(amount * found.rate),
+      rate: found.rate,
+      inverseRate: 1 / found.rate,
+      path: found.path,
+      legs: found.legs,
+      asOf: found.asOf
     });
 
-    res.json(result);
-
   } catch (err) {
-    console.error("❌ /api/forex-strength error:", err.message);
-    res.status(500).json({ error: "Failed to compute strength" });
+    console.error("❌ /api/convert error:", err.message);
+    res.status(500).json({ error: "Failed to convert currency" });
   }
 });
 
-/* ------------------------------------------------------
-   COMMODITIES
------------------------------------------------------- */
-app.get("/api/commodities", async (req, res) => {
+// rates[base][quote] = units of quote per base; null where no pairs connect them
+app.get("/api/convert/table", async (req, res) => {
   try {
-    if (commoditiesCache && Date.now() - commoditiesCacheTime < GENERIC_TTL)
-      return res.json(commoditiesCache);
-
-    const results = [];
-
-    for (const [name, symbol] of Object.entries(YAHOO_COMMODITY_SYMBOLS)) {
-      try {
-        const url = `${YAHOO_CHART}/${symbol}?interval=1d&range=5d`;
-        const r = await http.get(url);
-        const data = r.data.chart?.result?.[0];
-
-        if (!data) {
-          console.warn(`⚠️ No data for ${name} (${symbol})`);
-          continue;
-        }
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-
-        if (closes.length < 2) {
-          console.warn(`⚠️ Insufficient data for ${name}`);
-          continue;
-        }
-
-        const currentPrice = closes.at(-1);
-        const previousPrice = closes.at(-2);
-
-        if (isNaN(currentPrice) || isNaN(previousPrice) || previousPrice === 0) {
-          console.warn(`⚠️ Invalid prices for ${name}`);
-          continue;
-        }
-
-        const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
+    const currencies = req.query.currencies
+      ? [...new Set(parseSymbolList(req.query.currencies).map(c => c.toUpperCase()))]
+      : CROSS_TABLE_CURRENCIES;
 
-        if (isNaN(pct)) {
-          console.warn(`⚠️ Calculated NaN for ${name}`);
-          continue;
-        }
-
-        results.push({
-          name,
-          symbol: name,
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          trend: pct >= 0 ? "positive" : "negative",
-          price: currentPrice.toFixed(2),
-          rawChange: pct
-        });
+    const invalid = currencies.filter(c => !isCurrencyCode(c));
+    if (invalid.length) return res.status(400).json({ error: `Invalid currency codes: ${invalid.join(", ")}` });
 
-        console.log(`✅ ${name}: $${currentPrice.toFixed(2)} (${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%)`);
+    if (currencies.length > CROSS_TABLE_MAX_CURRENCIES) {
+      return res.status(400).json({ error: `At most ${CROSS_TABLE_MAX_CURRENCIES} currencies per table` });
+    }
 
-      } catch (err) {
-        console.warn(`⚠️ ${name} fetch error:`, err.message);
-      }
+    const graph = await loadRateGraph();
+    if (!graph.size) return res.status(503).json({ error: "FX rates unavailable" });
 
-      await sleep(200);
-    }
+    const rates = {};
+    const paths = {};
+    const timestamps = [];
 
-    results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
+    currencies.forEach(base => {
+      rates[base] = {};
+      currencies.forEach(quote => {
+        const found = findRate(graph, base, quote);
+        rates[base][quote] = found ? found.rate : null;
 
-    commoditiesCache = results;
-    commoditiesCacheTime = Date.now();
-    res.json(results);
+        // Only spell out crosses that were triangulated
+        if (found && found.legs.length > 1) paths[`${base}/${quote}`] = found.path;
+        if (found?.legs.length) timestamps.push(found.asOf);
+      });
+    });
 
-    console.log(`✅ Loaded ${results.length} commodities (Yahoo Futures)`);
+    res.json({
+      currencies,
+      rates,
+      triangulated: paths,
+      asOf: timestamps.every(Boolean) ? timestamps.sort()[0] || null : null
+    });
 
   } catch (err) {
-    console.error("❌ /api/commodities error:", err.message);
-    res.status(500).json({ error: "Failed to fetch commodities" });
+    console.error("❌ /api/convert/table error:", err.message);
+    res.status(500).json({ error: "Failed to build cross-rate table" });
   }
 });
 
 /* ------------------------------------------------------
-   CRYPTO
+   FOREX STRENGTH
 ------------------------------------------------------ */
-app.get("/api/crypto", async (req, res) => {
+// Legacy labels, now computed in-process from the daily /api/forex changes
+app.get("/api/forex-strength", async (req, res) => {
   try {
-    if (cryptoCache && Date.now() - cryptoCacheTime < GENERIC_TTL)
-      return res.json(cryptoCache);
-
-    const cryptoSymbols = {
-      BTC: "BTC-USD",
-      ETH: "ETH-USD",
-      XRP: "XRP-USD",
-      SOL: "SOL-USD",
-      ADA: "ADA-USD",
-      DOGE: "DOGE-USD",
-      AVAX: "AVAX-USD",
-      BNB: "BNB-USD",
-      LTC: "LTC-USD"
-    };
-
-    const results = [];
-
-    for (const [name, symbol] of Object.entries(cryptoSymbols)) {
-      try {
-        const url = `${YAHOO_CHART}/${symbol}?interval=1d&range=5d`;
-        const r = await http.get(url);
-        const data = r.data.chart?.result?.[0];
-        if (!data) continue;
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-        if (closes.length < 2) continue;
-
-        const currentPrice = closes.at(-1);
-        const previousPrice = closes.at(-2);
-        const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
-
-        results.push({
-          name,
-          symbol,
-          price: currentPrice.toFixed(2),
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          trend: pct >= 0 ? "positive" : "negative",
-          rawChange: pct
-        });
-
-      } catch (err) {
-        console.warn(`⚠️ Crypto fetch error for ${symbol}:`, err.message);
-      }
+    const rows = await loadQuoteDataset("forex").catch(() => []);
+    const scores = scoreCurrencies(Object.fromEntries(rows.map(fx => [fx.pair, fx.rawChange])));
 
-      await sleep(150);
-    }
+    const result = {};
+    Object.entries(scores).forEach(([currency, score]) => {
+      result[currency] = strengthLabel(score);
+    });
 
-    cryptoCache = results;
-    cryptoCacheTime = Date.now();
-    res.json(results);
+    res.json(result);
 
   } catch (err) {
-    console.error("❌ /api/crypto error:", err.message);
-    res.status(500).json({ error: "Failed to fetch crypto" });
+    console.error("❌ /api/forex-strength error:", err.message);
+    res.status(500).json({ error: "Failed to compute strength" });
   }
 });
 
 /* ------------------------------------------------------
-   CORRELATION MATRIX ✅ NEW FEATURE
+   CURRENCY STRENGTH INDEX
 ------------------------------------------------------ */
-app.get("/api/correlation-matrix", async (req, res) => {
-  try {
-    const period = req.query.period || '30'; // 7, 30, 90, or 365 days
-    const cacheKey = `correlation_${period}`;
-
-    // Check cache
-    if (correlationCache[cacheKey] && 
-        Date.now() - correlationCacheTime < CORRELATION_TTL) {
-      console.log(`✅ Using cached correlation matrix (${period} days)`);
-      return res.json(correlationCache[cacheKey]);
-    }
+const STRENGTH_TIMEFRAMES = ["1h", "4h", "1d", "1w"];
 
-    console.log(`📊 Calculating correlation matrix (${period} days)...`);
+async function fetchCurrencyStrength() {
+  const heatmap = await loadHeatmapDataset("forex");
 
-    // Step 1: Fetch historical data for all assets
-    const priceData = {};
+  const timeframes = {};
+  const composite = {};
+  STRENGTH_CURRENCIES.forEach(c => (composite[c] = []));
 
-    for (const [name, symbol] of Object.entries(CORRELATION_ASSETS)) {
-      try {
-        const url = `${YAHOO_CHART}/${symbol}?interval=1d&range=${period}d`;
-        const r = await http.get(url);
-        const data = r.data.chart?.result?.[0];
+  STRENGTH_TIMEFRAMES.forEach(tf => {
+    const pairChanges = Object.fromEntries(instrumentRegistry.names("forex").map(pair => [pair, heatmap[pair]?.[tf]]));
+    const scores = scoreCurrencies(pairChanges);
 
-        if (!data) {
-          console.warn(`⚠️ No data for ${name} (${symbol})`);
-          continue;
-        }
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
+    Object.entries(scores).forEach(([currency, score]) => {
+      if (score !== null) composite[currency].push(score);
+    });
 
-        if (closes.length < 5) {
-          console.warn(`⚠️ Insufficient data for ${name}: ${closes.length} days`);
-          continue;
-        }
+    timeframes[tf] = { ranking: rankScores(scores) };
+  });
+
+  // Equal-weighted average of the timeframes each currency has a score for
+  const compositeScores = Object.fromEntries(
+    Object.entries(composite).map(([currency, scores]) => [
+      currency,
+      scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null
+    ])
+  );
+
+  return {
+    currencies: STRENGTH_CURRENCIES,
+    timeframes,
+    composite: { ranking: rankScores(compositeScores) },
+    timestamp: new Date().toISOString()
+  };
+}
 
-        priceData[name] = closes;
-        console.log(`✅ Fetched ${closes.length} days for ${name}`);
+app.get("/api/currency-strength", async (req, res) => {
+  try {
+    const response = await cache.wrap("currency-strength", fetchCurrencyStrength, { ttl: HEATMAP_TTL });
+    res.json(response);
 
-      } catch (err) {
-        console.warn(`⚠️ Error fetching ${name}:`, err.message);
-      }
+  } catch (err) {
+    console.error("❌ /api/currency-strength error:", err.message);
+    res.status(500).json({ error: "Failed to compute currency strength" });
+  }
+});
 
-      await sleep(100);
+/**
+ * Daily strength per currency from each pair's daily close-to-close move,
+ * plus a cumulative index (running sum of daily scores) for charting.
+ */
+async function fetchCurrencyStrengthHistory(range) {
+  const charts = await mapConcurrent(instrumentRegistry.group("forex"), async (instrument) => {
+    try {
+      const chart = await loadHistory(instrument, "1d", range);
+      return { pair: instrument.name, closes: closesByDate(chart.candles, chart.timezone) };
+    } catch (err) {
+      console.warn(`⚠️ Strength history error ${instrument.name}:`, err.message);
+      return null;
     }
+  });
 
-    // Step 2: Calculate correlation matrix
-    const assets = Object.keys(priceData);
-    const matrix = {};
+  const dailyChanges = {};
 
-    for (const asset1 of assets) {
-      matrix[asset1] = {};
-
-      for (const asset2 of assets) {
-        if (asset1 === asset2) {
-          matrix[asset1][asset2] = 1.0;
-        } else {
-          const minLength = Math.min(priceData[asset1].length, priceData[asset2].length);
-          const data1 = priceData[asset1].slice(-minLength);
-          const data2 = priceData[asset2].slice(-minLength);
+  charts.forEach(({ pair, closes }) => {
+    const dates = [...closes.keys()].sort();
 
-          const correlation = calculateCorrelation(data1, data2);
-          matrix[asset1][asset2] = parseFloat(correlation.toFixed(2));
-        }
-      }
+    for (let i = 1; i < dates.length; i++) {
+      const prev = closes.get(dates[i - 1]);
+      const pct = ((closes.get(dates[i]) - prev) / prev) * 100;
+      dailyChanges[dates[i]] = dailyChanges[dates[i]] || {};
+      dailyChanges[dates[i]][pair] = pct;
     }
+  });
+
+  const dates = Object.keys(dailyChanges).sort();
+  const series = {};
+  const cumulative = {};
+  STRENGTH_CURRENCIES.forEach(c => {
+    series[c] = [];
+    cumulative[c] = 0;
+  });
+
+  dates.forEach(date => {
+    const scores = scoreCurrencies(dailyChanges[date]);
+
+    STRENGTH_CURRENCIES.forEach(currency => {
+      const score = scores[currency];
+      if (score !== null) cumulative[currency] += score;
+
+      series[currency].push({
+        date,
+        score: score === null ? null : parseFloat(score.toFixed(4)),
+        cumulative: parseFloat(cumulative[currency].toFixed(4))
+      });
+    });
+  });
 
-    // Step 3: Build response
-    const response = {
-      period: parseInt(period),
-      assets: assets,
-      matrix: matrix,
-      timestamp: new Date().toISOString()
-    };
+  return { range, dates, series, timestamp: new Date().toISOString() };
+}
 
-    // Cache it
-    correlationCache[cacheKey] = response;
-    correlationCacheTime = Date.now();
+app.get("/api/currency-strength/history", async (req, res) => {
+  try {
+    const range = req.query.range || "1mo";
+    const invalid = validateHistoryParams("1d", range);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-    console.log(`✅ Correlation matrix calculated for ${assets.length} assets`);
+    const requested = req.query.currencies
+      ? parseSymbolList(req.query.currencies).map(c => c.toUpperCase())
+      : STRENGTH_CURRENCIES;
 
-    res.json(response);
+    const unknown = requested.filter(c => !STRENGTH_CURRENCIES.includes(c));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown currencies: ${unknown.join(", ")}`, supported: STRENGTH_CURRENCIES });
+    }
+
+    const history = await cache.wrap(
+      `currency-strength-history_${range}`,
+      () => fetchCurrencyStrengthHistory(range),
+      { ttl: HISTORY_TTL }
+    );
+
+    res.json({
+      ...history,
+      series: Object.fromEntries(requested.map(c => [c, history.series[c]]))
+    });
 
   } catch (err) {
-    console.error("❌ /api/correlation-matrix error:", err.message);
-    res.status(500).json({ error: "Failed to calculate correlation matrix" });
+    console.error("❌ /api/currency-strength/history error:", err.message);
+    res.status(500).json({ error: "Failed to compute currency strength history" });
   }
 });
 
 /* ------------------------------------------------------
-   CRYPTO MOVERS
+   COMMODITIES
 ------------------------------------------------------ */
-async function fetchEodCryptoMovers() {
-  const cryptoSymbols = {
-    BTC: "BTC-USD",
-    ETH: "ETH-USD",
-    XRP: "XRP-USD",
-    SOL: "SOL-USD",
-    ADA: "ADA-USD"
-  };
-
-  const items = [];
+async function fetchCommodities(options = {}) {
+  const results = await mapConcurrent(instrumentRegistry.group("commodities"), async (instrument) => {
+    const { name, symbol } = instrument;
 
-  for (const [name, symbol] of Object.entries(cryptoSymbols)) {
     try {
-      const r = await http.get(`${YAHOO_CHART}/${symbol}?interval=1d&range=5d`);
-      const data = r.data.chart?.result?.[0];
-      if (!data) continue;
+      const quote = await providers.getQuote(instrument, options);
+      const currentPrice = quote.price;
+      const pct = quote.change;
 
-      const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-      if (closes.length < 2) continue;
+      console.log(`✅ ${name}: $${currentPrice.toFixed(2)} (${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%) via ${quote.provider}`);
 
-      const currentPrice = closes.at(-1);
-      const previousPrice = closes.at(-2);
-      const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
-
-      items.push(formatMover(name, symbol, pct, "Crypto"));
+      return {
+        name,
+        symbol: name,
+        change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+        trend: pct >= 0 ? "positive" : "negative",
+        price: currentPrice.toFixed(2),
+        rawChange: pct,
+        rawPrice: currentPrice,
+        provider: quote.provider
+      };
 
     } catch (err) {
-      console.warn("⚠️ Crypto mover error:", symbol, err.message);
+      console.warn(`⚠️ ${name} fetch error:`, err.message);
+      return null;
     }
+  });
 
-    await sleep(150);
-  }
+  results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
 
-  return items;
+  return results;
 }
 
-/* ------------------------------------------------------
-   COMMODITY MOVERS
------------------------------------------------------- */
-async function fetchCommodityMovers() {
-  const items = [];
-
-  for (const [name, symbol] of Object.entries(YAHOO_COMMODITY_SYMBOLS)) {
-    try {
-      const url = `${YAHOO_CHART}/${symbol}?interval=1d&range=5d`;
-      const r = await http.get(url);
-      const data = r.data.chart?.result?.[0];
-
-      if (!data) continue;
+app.get("/api/commodities", async (req, res) => {
+  try {
+    const { currency, error } = parseDisplayCurrency(req.query);
+    if (error) return res.status(400).json({ error });
 
-      const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-      if (closes.length < 2) continue;
+    const results = await cache.wrap("commodities", fetchCommodities, { ttl: GENERIC_TTL });
+    res.json(currency ? await convertRows(results, currency) : results);
 
-      const currentPrice = closes.at(-1);
-      const previousPrice = closes.at(-2);
+    console.log(`✅ Loaded ${results.length} commodities`);
 
-      if (isNaN(currentPrice) || isNaN(previousPrice) || previousPrice === 0) continue;
+  } catch (err) {
+    console.error("❌ /api/commodities error:", err.message);
+    res.status(500).json({ error: "Failed to fetch commodities" });
+  }
+});
 
-      const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
+/* ------------------------------------------------------
+   CRYPTO
+------------------------------------------------------ */
+async function fetchCrypto(options = {}) {
+  const results = await mapConcurrent(instrumentRegistry.group("crypto"), async (instrument) => {
+    const { name, symbol } = instrument;
 
-      if (isNaN(pct)) continue;
+    try {
+      const quote = await providers.getQuote(instrument, options);
+      const pct = quote.change;
 
-      items.push(formatMover(name, name, pct, "Commodity"));
+      return {
+        name,
+        symbol,
+        price: quote.price.toFixed(2),
+        change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+        trend: pct >= 0 ? "positive" : "negative",
+        rawChange: pct,
+        rawPrice: quote.price,
+        provider: quote.provider
+      };
 
     } catch (err) {
-      console.warn("⚠️ Commodity mover error:", name, err.message);
+      console.warn(`⚠️ Crypto fetch error for ${symbol}:`, err.message);
+      return null;
     }
+  });
 
-    await sleep(200);
-  }
-
-  return items;
+  return results;
 }
 
+app.get("/api/crypto", async (req, res) => {
+  try {
+    const { currency, error } = parseDisplayCurrency(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const results = await cache.wrap("crypto", fetchCrypto, { ttl: GENERIC_TTL });
+    res.json(currency ? await convertRows(results, currency) : results);
+
+  } catch (err) {
+    console.error("❌ /api/crypto error:", err.message);
+    res.status(500).json({ error: "Failed to fetch crypto" });
+  }
+});
+
 /* ------------------------------------------------------
-   STOCK MOVERS
+   CORRELATION MATRIX ✅ NEW FEATURE
 ------------------------------------------------------ */
-async function fetchEodTopStocks(limit = 6) {
-  if (!EODHD_KEY) return { items: [] };
+const CORRELATION_MIN_PERIOD = 5;
+const CORRELATION_MAX_PERIOD = 1825;
+// Anonymous callers share the cached preset matrices; other periods need a principal
+const CORRELATION_PUBLIC_PERIODS = [7, 30, 90, 365];
+const CORRELATION_MAX_ASSETS = 15;
+const CORRELATION_MIN_CLOSES = 5;
+
+// Correlation list first (so its display labels, e.g. "Bitcoin", are kept), then any tracked symbol
+function resolveCorrelationAsset(input) {
+  const key = normalizeSymbolKey(input);
+
+  const listed = instrumentRegistry
+    .group("correlation")
+    .find(i => normalizeSymbolKey(i.name) === key || normalizeSymbolKey(i.symbol) === key);
+
+  return listed || resolveSymbol(input);
+}
 
-  const fetchSide = async (side) => {
-    try {
-      const r = await http.get(
-        `https://eodhd.com/api/top?api_token=${EODHD_KEY}&screener=${side}&limit=${limit}&fmt=json`
-      );
+/**
+ * Correlation of daily log returns. Each pair is aligned on the trading
+ * dates both assets share, so a crypto weekend close is never matched
+ * with the wrong equity session.
+ */
+async function fetchCorrelationMatrix(period, instruments) {
+  console.log(`📊 Calculating correlation matrix (${period} days, ${instruments.length} assets)...`);
 
-      if (!Array.isArray(r.data)) return { items: [] };
+  // Step 1: Fetch daily closes keyed by trading date
+  const fetched = await mapConcurrent(instruments, async (instrument) => {
+    try {
+      const chart = await loadHistory(instrument, "1d", `${period}d`);
 
-      const items = r.data.map(it =>
-        formatMover(
-          it.name || it.code,
-          it.code,
-          parseFloat(it.change_percent ?? 0),
-          "Stock"
-        )
-      );
+      if (chart.candles.length < CORRELATION_MIN_CLOSES) {
+        console.warn(`⚠️ Insufficient data for ${instrument.name}: ${chart.candles.length} days`);
+        return null;
+      }
 
-      return { items };
+      console.log(`✅ Fetched ${chart.candles.length} days for ${instrument.name}`);
+      return [instrument.name, closesByDate(chart.candles, chart.timezone)];
 
-    } catch {
-      return { items: [] };
+    } catch (err) {
+      console.warn(`⚠️ Error fetching ${instrument.name}:`, err.message);
+      return null;
     }
-  };
-
-  const g = await fetchSide("most_gainer_stocks");
-  const l = await fetchSide("most_loser_stocks");
-
-  return { items: [...g.items, ...l.items] };
-}
+  });
 
-/* ------------------------------------------------------
-   FOREX MOVERS
------------------------------------------------------- */
-async function fetchForexMovers() {
-  try {
-    const url = `https://api.twelvedata.com/quote?symbol=${FOREX_PAIRS.join(",")}&apikey=${TWELVEDATA_KEY}`;
-    const r = await http.get(url);
+  const closes = Object.fromEntries(fetched);
 
-    return FOREX_PAIRS.map(pair => {
-      const d = r.data[pair];
-      if (!d?.percent_change) return null;
-      return formatMover(pair, pair, parseFloat(d.percent_change), "Forex");
-    }).filter(Boolean);
+  // Step 2: Pairwise correlations with observation counts and p-values
+  const assets = Object.keys(closes);
+  const matrix = {};
+  const observations = {};
+  const pValues = {};
 
-  } catch {
-    return [];
+  for (const asset1 of assets) {
+    matrix[asset1] = {};
+    observations[asset1] = {};
+    pValues[asset1] = {};
   }
-}
 
-/* ------------------------------------------------------
-   ALL MOVERS
------------------------------------------------------- */
-app.get("/api/all-movers", async (req, res) => {
-  try {
-    if (moversCache && Date.now() - moversCacheTimestamp < MOVERS_CACHE_TTL)
-      return res.json(moversCache);
+  assets.forEach((asset1, i) => {
+    matrix[asset1][asset1] = 1.0;
+    observations[asset1][asset1] = Math.max(closes[asset1].size - 1, 0);
+    pValues[asset1][asset1] = 0;
 
-    const [stocksRes, cryptoRes, fxRes, comRes] = await Promise.allSettled([
-      fetchEodTopStocks(6),
-      fetchEodCryptoMovers(),
-      fetchForexMovers(),
-      fetchCommodityMovers()
-    ]);
+    for (const asset2 of assets.slice(i + 1)) {
+      const { returns1, returns2 } = alignedReturns(closes[asset1], closes[asset2]);
+      const n = returns1.length;
+      const r = n >= 3 ? calculateCorrelation(returns1, returns2) : null;
+      const pValue = r === null ? null : correlationPValue(r, n);
 
-    let combined = [];
+      matrix[asset1][asset2] = matrix[asset2][asset1] = r === null ? null : parseFloat(r.toFixed(2));
+      observations[asset1][asset2] = observations[asset2][asset1] = n;
+      pValues[asset1][asset2] = pValues[asset2][asset1] = pValue === null ? null : parseFloat(pValue.toFixed(4));
+    }
+  });
+
+  // Step 3: Build response
+  const response = {
+    period: parseInt(period),
+    method: "pearson_log_returns",
+    assets: assets,
+    matrix: matrix,
+    observations,
+    pValues,
+    timestamp: new Date().toISOString()
+  };
 
-    if (stocksRes.value?.items) combined.push(...stocksRes.value.items);
-    if (cryptoRes.value) combined.push(...cryptoRes.value);
-    if (fxRes.value) combined.push(...fxRes.value);
-    if (comRes.value) combined.push(...comRes.value);
+  console.log(`✅ Correlation matrix calculated for ${assets.length} assets`);
+
+  return response;
+}
 
-    for (const [name, symbol] of Object.entries(INDEX_SYMBOLS)) {
-      try {
-        const r = await http.get(`${YAHOO_CHART}/${symbol}?interval=1d&range=5d`);
-        const data = r.data.chart?.result?.[0];
-        if (!data) continue;
+app.get("/api/correlation-matrix", async (req, res) => {
+  try {
+    const period = parseInt(req.query.period || "30", 10); // 7, 30, 90, or 365 days
 
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
-        if (closes.length < 2) continue;
+    if (!Number.isInteger(period) || period < CORRELATION_MIN_PERIOD || period > CORRELATION_MAX_PERIOD) {
+      return res.status(400).json({
+        error: `period must be a whole number of days between ${CORRELATION_MIN_PERIOD} and ${CORRELATION_MAX_PERIOD}`
+      });
+    }
 
-        const pct = ((closes.at(-1) - closes.at(-2)) / closes.at(-2)) * 100;
+    if (!CORRELATION_PUBLIC_PERIODS.includes(period) && !req.principal) {
+      return res.status(401).json({
+        error: `period must be one of ${CORRELATION_PUBLIC_PERIODS.join(", ")} without an API key or session token`
+      });
+    }
 
-        combined.push(formatMover(name, symbol, pct, "Index"));
+    // The default matrix is cached for everyone; custom asset sets fetch fresh history
+    if (req.query.assets && !req.principal) {
+      return res.status(401).json({ error: "assets requires an API key or session token" });
+    }
 
-      } catch {}
+    const requested = req.query.assets ? parseSymbolList(req.query.assets) : instrumentRegistry.names("correlation");
 
-      await sleep(120);
+    if (requested.length < 2 || requested.length > CORRELATION_MAX_ASSETS) {
+      return res.status(400).json({ error: `Provide between 2 and ${CORRELATION_MAX_ASSETS} assets` });
     }
 
-    const map = new Map();
+    const instruments = [];
+    const unknown = [];
 
-    combined.forEach(item => {
-      if (
-        !map.has(item.symbol) ||
-        Math.abs(item.rawChange) > Math.abs(map.get(item.symbol).rawChange)
-      ) {
-        map.set(item.symbol, item);
-      }
+    requested.forEach(input => {
+      const resolved = resolveCorrelationAsset(input);
+      if (!resolved) unknown.push(input);
+      else if (!instruments.some(i => i.symbol === resolved.symbol)) instruments.push(resolved);
     });
 
-    const sorted = [...map.values()]
-      .sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange))
-      .slice(0, 10);
+    if (unknown.length) {
+      return res.status(400).json({ error: "Unknown assets", unknown });
+    }
 
-    moversCache = sorted;
-    moversCacheTimestamp = Date.now();
+    const cacheKey = `correlation_${period}_${instruments.map(i => i.symbol).sort().join(",")}`;
 
-    res.json(sorted);
+    const response = await cache.wrap(
+      cacheKey,
+      () => fetchCorrelationMatrix(period, instruments),
+      { ttl: CORRELATION_TTL }
+    );
+
+    res.json(response);
 
   } catch (err) {
-    console.error("❌ /api/all-movers error:", err.message);
-    res.status(500).json({ error: "Failed to fetch movers" });
+    console.error("❌ /api/correlation-matrix error:", err.message);
+    res.status(500).json({ error: "Failed to calculate correlation matrix" });
   }
 });
 
 /* ------------------------------------------------------
-   FOREX HEATMAP
+   ROLLING CORRELATION
 ------------------------------------------------------ */
-app.get("/api/forex-heatmap", async (req, res) => {
-  try {
-    if (heatmapCache && Date.now() - heatmapCacheTime < HEATMAP_TTL)
-      return res.json(heatmapCache);
-
-    const results = {};
-
-    for (const [label, symbol] of Object.entries(YAHOO_HEATMAP_SYMBOLS)) {
-
-      const timeframes = {
-        "1h": { interval: "5m", range: "1d" },
-        "4h": { interval: "15m", range: "5d" },
-        "1d": { interval: "1d", range: "5d" },
-        "1w": { interval: "1d", range: "1mo" }
-      };
-
-      const tfResults = {};
-
-      for (const [tf, params] of Object.entries(timeframes)) {
-        let pct = null;
+const ROLLING_MIN_WINDOW = 5;
+const ROLLING_MAX_WINDOW = 250;
+
+async function fetchRollingCorrelation(a, b, window, range) {
+  const chartA = await loadHistory(a, "1d", range);
+  const chartB = await loadHistory(b, "1d", range);
+
+  const { dates, returns1, returns2 } = alignedReturns(
+    closesByDate(chartA.candles, chartA.timezone),
+    closesByDate(chartB.candles, chartB.timezone)
+  );
+
+  const series = [];
+  for (let i = window - 1; i < dates.length; i++) {
+    const r = calculateCorrelation(
+      returns1.slice(i - window + 1, i + 1),
+      returns2.slice(i - window + 1, i + 1)
+    );
+    series.push({ date: dates[i], correlation: parseFloat(r.toFixed(4)) });
+  }
 
-        try {
-          const url = `${YAHOO_CHART}/${symbol}?interval=${params.interval}&range=${params.range}`;
-          const r = await http.get(url);
-          const data = r.data.chart?.result?.[0];
+  const values = series.map(p => p.correlation);
+
+  return {
+    a: a.name,
+    b: b.name,
+    window,
+    range,
+    method: "pearson_log_returns",
+    observations: dates.length,
+    summary: values.length
+      ? {
+        latest: values.at(-1),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        mean: parseFloat((values.reduce((x, y) => x + y, 0) / values.length).toFixed(4))
+      }
+      : null,
+    series,
+    timestamp: new Date().toISOString()
+  };
+}
 
-          if (data) {
-            const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
+app.get("/api/correlation/rolling", async (req, res) => {
+  try {
+    const a = resolveCorrelationAsset(req.query.a || "");
+    const b = resolveCorrelationAsset(req.query.b || "");
 
-            if (closes.length >= 2) {
-              let compareIndex = -2;
+    if (!a || !b) {
+      return res.status(400).json({ error: "Provide two known assets, e.g. ?a=Gold&b=USD/ZAR" });
+    }
 
-              if (tf === "1h" && closes.length >= 13) compareIndex = -13;
-              if (tf === "4h" && closes.length >= 17) compareIndex = -17;
-              if (tf === "1w" && closes.length >= 8) compareIndex = -8;
+    if (a.symbol === b.symbol) {
+      return res.status(400).json({ error: "a and b must be different assets" });
+    }
 
-              if (Math.abs(compareIndex) <= closes.length) {
-                const current = closes.at(-1);
-                const previous = closes.at(compareIndex);
-                pct = ((current - previous) / previous) * 100;
-              }
-            }
-          }
+    const window = parseInt(req.query.window || "30", 10);
+    if (!Number.isInteger(window) || window < ROLLING_MIN_WINDOW || window > ROLLING_MAX_WINDOW) {
+      return res.status(400).json({ error: `window must be between ${ROLLING_MIN_WINDOW} and ${ROLLING_MAX_WINDOW} days` });
+    }
 
-        } catch (err) {
-          console.warn(`⚠️ Heatmap error ${symbol} (${tf}):`, err.message);
-        }
+    const range = req.query.range || "1y";
+    const invalid = validateHistoryParams("1d", range);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-        tfResults[tf] = pct;
-        await sleep(100);
-      }
+    const response = await cache.wrap(
+      `rolling_${a.symbol}_${b.symbol}_${window}_${range}`,
+      () => fetchRollingCorrelation(a, b, window, range),
+      { ttl: CORRELATION_TTL }
+    );
 
-      results[label] = tfResults;
-      console.log(`✅ Heatmap loaded for ${label}:`, tfResults);
+    if (response.series.length === 0) {
+      return res.status(422).json({
+        error: `Only ${response.observations} shared daily returns in ${range}; need more than the ${window}-day window`
+      });
     }
 
-    heatmapCache = results;
-    heatmapCacheTime = Date.now();
-    res.json(results);
+    res.json(response);
 
   } catch (err) {
-    console.error("❌ /api/forex-heatmap error:", err.message);
-    res.status(500).json({ error: "Failed to load heatmap" });
+    console.error("❌ /api/correlation/rolling error:", err.message);
+    res.status(500).json({ error: "Failed to calculate rolling correlation" });
   }
 });
 
 /* ------------------------------------------------------
-   CRYPTO HEATMAP
+   SEARCH & INSTRUMENT METADATA
 ------------------------------------------------------ */
-app.get("/api/crypto-heatmap", async (req, res) => {
-  try {
-    if (cryptoHeatmapCache && Date.now() - cryptoHeatmapCacheTime < HEATMAP_TTL)
-      return res.json(cryptoHeatmapCache);
-
-    const cryptoSymbols = {
-      BTC: "BTC-USD",
-      ETH: "ETH-USD",
-      XRP: "XRP-USD",
-      SOL: "SOL-USD",
-      ADA: "ADA-USD",
-      DOGE: "DOGE-USD",
-      AVAX: "AVAX-USD",
-      BNB: "BNB-USD",
-      LTC: "LTC-USD"
-    };
-
-    const results = {};
-
-    for (const [name, symbol] of Object.entries(cryptoSymbols)) {
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_CACHE_ENTRIES = 200;
+// The fuzzy pass is O(query × word) per word, so anonymous queries stay short
+const SEARCH_MAX_QUERY_LENGTH = 64;
+
+// Route lists each instrument group feeds
+const GROUP_ENDPOINTS = {
+  indices: ["/api/indices", "/api/all-movers"],
+  forex: ["/api/forex", "/api/all-movers", "/api/currency-strength"],
+  commodities: ["/api/commodities", "/api/all-movers"],
+  crypto: ["/api/crypto", "/api/crypto-heatmap"],
+  "crypto-movers": ["/api/all-movers"],
+  heatmap: ["/api/forex-heatmap"],
+  correlation: ["/api/correlation-matrix"],
+  "jse-stocks": ["/api/jse-stocks"],
+  "jse-top40": ["/api/jse-stocks?top40=true"],
+  "us-stocks": ["/api/us-stocks"],
+  reaction: ["/api/economic-calendar/:id/reaction"]
+};
 
-      const timeframes = {
-        "1h": { interval: "5m", range: "1d" },
-        "4h": { interval: "15m", range: "5d" },
-        "1d": { interval: "1d", range: "5d" },
-        "1w": { interval: "1d", range: "1mo" }
-      };
+const instrumentSummary = (instrument) => ({
+  name: instrument.name,
+  symbol: instrument.symbol,
+  assetClass: instrument.assetClass,
+  exchange: instrument.exchange,
+  currency: instrument.currency,
+  sector: instrument.sector
+});
 
-      const tfResults = {};
+function instrumentEndpoints(instrument) {
+  const symbol = encodeURIComponent(instrument.symbol);
+  // Batch quotes, alerts and watchlist quotes read the asset class's route list
+  const quoted = instrument.groups.includes(QUOTE_DATASETS[instrument.assetClass]?.key);
 
-      for (const [tf, params] of Object.entries(timeframes)) {
-        let pct = null;
+  const endpoints = [
+    ...instrument.groups.flatMap(group => GROUP_ENDPOINTS[group] || []),
+    `/api/history/${symbol}`,
+    `/api/indicators/${symbol}`,
+    `/api/correlation/rolling?a=${symbol}`,
+    `/api/stream?symbols=${symbol}`
+  ];
 
-        try {
-          const url = `${YAHOO_CHART}/${symbol}?interval=${params.interval}&range=${params.range}`;
-          const r = await http.get(url);
-          const data = r.data.chart?.result?.[0];
+  if (quoted) endpoints.push(`/api/quotes?symbols=${symbol}`, "/api/alerts", "/api/watchlists");
+  if (quoted && HOLDING_CURRENCIES[instrument.assetClass]) endpoints.push("/api/portfolios");
+  if (instrument.groups.some(g => NEWS_GROUPS.includes(g))) endpoints.push(`/api/news?asset=${symbol}`);
 
-          if (data) {
-            const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
+  return [...new Set(endpoints)];
+}
 
-            if (closes.length >= 2) {
-              let compareIndex = -2;
+// Queries are user input, so they get a small cache of their own that cannot push out dashboard data
+const searchCache = createCache({ maxEntries: SEARCH_CACHE_ENTRIES });
 
-              if (tf === "1h" && closes.length >= 13) compareIndex = -13;
-              if (tf === "4h" && closes.length >= 17) compareIndex = -17;
-              if (tf === "1w" && closes.length >= 8) compareIndex = -8;
+app.get("/api/search", async (req, res) => {
+  try {
+    const query = String(req.query.q || "").trim();
+    if (!query) return res.status(400).json({ error: "q is required" });
+    if (query.length > SEARCH_MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `q cannot exceed ${SEARCH_MAX_QUERY_LENGTH} characters` });
+    }
 
-              if (Math.abs(compareIndex) <= closes.length) {
-                const current = closes.at(-1);
-                const previous = closes.at(compareIndex);
-                pct = ((current - previous) / previous) * 100;
-              }
-            }
-          }
+    const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${SEARCH_MAX_LIMIT}` });
+    }
 
-        } catch (err) {
-          console.warn(`⚠️ Crypto heatmap error ${symbol} (${tf}):`, err.message);
-        }
+    // ?external=true tops up with the provider's symbol search for untracked instruments
+    if (req.query.external === "true" && !req.principal) {
+      return res.status(401).json({ error: "external=true requires an API key or session token" });
+    }
 
-        tfResults[tf] = pct;
-        await sleep(100);
-      }
+    const results = instrumentRegistry.search(query, limit).map(({ instrument, score, matched }) => ({
+      ...instrumentSummary(instrument),
+      tracked: true,
+      score,
+      matched
+    }));
+
+    if (req.query.external === "true" && results.length < limit) {
+      const external = await searchCache.wrap(
+        query.toLowerCase(),
+        () => providers.searchSymbols(query, SEARCH_MAX_LIMIT),
+        { ttl: HISTORY_TTL }
+      ).catch(err => {
+        console.warn("⚠️ Provider symbol search failed:", err.message);
+        return [];
+      });
 
-      results[name] = tfResults;
-      console.log(`✅ Crypto heatmap loaded for ${name}:`, tfResults);
+      external
+        .filter(r => !resolveSymbol(r.symbol))
+        .slice(0, limit - results.length)
+        .forEach(r => results.push({ ...r, currency: null, sector: null, tracked: false, source: "yahoo" }));
     }
 
-    cryptoHeatmapCache = results;
-    cryptoHeatmapCacheTime = Date.now();
-    res.json(results);
+    res.json({ query, results });
 
   } catch (err) {
-    console.error("❌ /api/crypto-heatmap error:", err.message);
-    res.status(500).json({ error: "Failed to load crypto heatmap" });
+    console.error("❌ /api/search error:", err.message);
+    res.status(500).json({ error: "Failed to search instruments" });
+  }
+});
+
+app.get("/api/instrument/:symbol", (req, res) => {
+  const instrument = resolveSymbol(req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: `Unknown symbol "${req.params.symbol}"` });
   }
+
+  res.json({
+    ...instrumentSummary(instrument),
+    aliases: instrument.aliases || [],
+    groups: instrument.groups,
+    endpoints: instrumentEndpoints(instrument)
+  });
 });
 
 /* ------------------------------------------------------
-   ECONOMIC CALENDAR
+   HISTORICAL CANDLES
 ------------------------------------------------------ */
-app.get("/api/economic-calendar", async (req, res) => {
+// Cached candles for a resolved instrument; intraday data expires sooner
+function loadHistory(instrument, interval, range) {
+  const intraday = /[mh]$/.test(interval);
+
+  return cache.wrap(
+    `history_${instrument.symbol}_${interval}_${range}`,
+    () => {
+      console.log(`📈 Fetching ${interval}/${range} candles for ${instrument.name} (${instrument.symbol})...`);
+      return providers.getHistory(instrument, interval, range);
+    },
+    { ttl: intraday ? GENERIC_TTL : HISTORY_TTL }
+  );
+}
+
+app.get("/api/history/:symbol", async (req, res) => {
   try {
-    if (calendarCache && Date.now() - calendarCacheTime < CALENDAR_TTL) {
-      console.log("✅ Using cached calendar data");
-      return res.json(calendarCache);
+    const resolved = resolveSymbol(req.params.symbol);
+    if (!resolved) {
+      return res.status(404).json({ error: `Unknown symbol "${req.params.symbol}"` });
     }
 
-    const today = new Date();
-    const nextMonth = new Date(today);
-    nextMonth.setDate(today.getDate() + 30);
-    
-    const fromDate = today.toISOString().split('T')[0];
-    const toDate = nextMonth.toISOString().split('T')[0];
-    
-    const url = `https://financialmodelingprep.com/api/v3/economic_calendar?from=${fromDate}&to=${toDate}&apikey=${FMP_KEY}`;
-    
-    console.log("📅 Fetching economic calendar from FMP...");
-    console.log(`📆 Date range: ${fromDate} to ${toDate}`);
-    
-    const r = await http.get(url);
-    
-    if (!Array.isArray(r.data) || r.data.length === 0) {
-      console.log("⚠️ No events found from FMP");
-      return res.json([]);
-    }
-    
-    console.log(`📊 Received ${r.data.length} events from FMP`);
-    
-    const todayMidnight = new Date();
-    todayMidnight.setHours(0, 0, 0, 0);
-    
-    const events = r.data
-      .filter(event => {
-        if (!event.event || !event.country || !event.date) return false;
-        const eventDate = new Date(event.date);
-        return eventDate >= todayMidnight;
-      })
-      .map(event => {
-        const dateTime = new Date(event.date);
-        const dateOnly = dateTime.toISOString().split('T')[0];
-        const hours = String(dateTime.getHours()).padStart(2, '0');
-        const minutes = String(dateTime.getMinutes()).padStart(2, '0');
-        const timeOnly = `${hours}:${minutes}`;
-        
-        let importance = "Medium";
-        const impact = (event.impact || "").toLowerCase();
-        
-        if (impact === "high") {
-          importance = "High";
-        } else if (impact === "medium") {
-          importance = "Medium";
-        } else if (impact === "low") {
-          importance = "Low";
-        } else {
-          const eventName = (event.event || "").toLowerCase();
-          const highKeywords = ['gdp', 'interest rate', 'nfp', 'non-farm', 'payroll',
-                               'cpi', 'unemployment', 'inflation', 'fed', 'fomc',
-                               'central bank', 'rate decision', 'ppi', 'retail sales'];
-          const mediumKeywords = ['pmi', 'trade balance', 'consumer confidence',
-                                 'manufacturing', 'industrial production', 'sentiment'];
-          
-          if (highKeywords.some(k => eventName.includes(k))) {
-            importance = "High";
-          } else if (mediumKeywords.some(k => eventName.includes(k))) {
-            importance = "Medium";
-          } else {
-            importance = "Low";
-          }
-        }
-        
-        return {
-          date: dateOnly,
-          time: timeOnly,
-          country: event.country,
-          event: event.event,
-          actual: event.actual !== null && event.actual !== undefined ? event.actual : null,
-          forecast: event.estimate !== null && event.estimate !== undefined ? event.estimate : null,
-          previous: event.previous !== null && event.previous !== undefined ? event.previous : null,
-          importance: importance,
-          currency: event.currency || event.country,
-          rawDateTime: dateTime
-        };
-      })
-      .filter(event => {
-        const majorCountries = ['US', 'GB', 'UK', 'EU', 'JP', 'CN', 'CA', 'AU', 'NZ', 'CH', 'ZA',
-                               'DE', 'FR', 'IT', 'ES', 'BR', 'MX', 'IN',
-                               'United States', 'United Kingdom', 'Euro Area', 'Germany',
-                               'France', 'Japan', 'China', 'Canada', 'Australia', 'South Africa'];
-        
-        const countryUpper = event.country.toUpperCase();
-        return majorCountries.some(c => 
-          countryUpper.includes(c.toUpperCase()) || 
-          c.toUpperCase().includes(countryUpper)
-        );
-      })
-      .sort((a, b) => a.rawDateTime - b.rawDateTime)
-      .slice(0, 100);
-    
-    console.log(`✅ Loaded ${events.length} economic events (filtered)`);
-    
-    if (events.length > 0) {
-      console.log(`📅 First event: ${events[0].date} ${events[0].time} - ${events[0].event} (${events[0].country})`);
-      console.log(`📅 Last event: ${events[events.length - 1].date} - ${events[events.length - 1].event}`);
-      
-      const eventsByDate = {};
-      events.forEach(e => {
-        eventsByDate[e.date] = (eventsByDate[e.date] || 0) + 1;
-      });
-      
-      const dateList = Object.keys(eventsByDate).slice(0, 10).map(d => `${d}: ${eventsByDate[d]}`);
-      console.log(`📊 Events distribution: [${dateList.join(', ')}]`);
-    } else {
-      console.log("⚠️ No events found after filtering");
+    const interval = req.query.interval || "1d";
+    const range = req.query.range || "1mo";
+
+    const invalid = validateHistoryParams(interval, range);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
-    
-    calendarCache = events;
-    calendarCacheTime = Date.now();
-    
-    res.json(events);
-    
-  } catch (err) {
-    console.error("❌ FMP calendar error:", err.message);
-    
-    if (err.response) {
-      console.error("📍 FMP Response status:", err.response.status);
-      console.error("📍 FMP Response data:", err.response.data);
+
+    let chart;
+    try {
+      chart = await loadHistory(resolved, interval, range);
+    } catch (err) {
+      console.warn(`⚠️ History unavailable for ${resolved.name}:`, err.message);
+      return res.status(502).json({ error: `No chart data for ${resolved.name}` });
     }
-    
-    res.status(500).json({ 
-      error: "Failed to fetch economic calendar",
-      details: err.message 
+
+    res.json({
+      name: resolved.name,
+      symbol: resolved.symbol,
+      interval,
+      range,
+      currency: chart.currency,
+      exchange: chart.exchange,
+      timezone: chart.timezone,
+      provider: chart.provider,
+      missingBars: chart.missing ?? 0,
+      candles: chart.candles
     });
+
+  } catch (err) {
+    console.error("❌ /api/history error:", err.message);
+    res.status(500).json({ error: "Failed to fetch history" });
   }
 });
 
 /* ------------------------------------------------------
-   JSE STOCKS
+   TECHNICAL INDICATORS
 ------------------------------------------------------ */
-app.get("/api/jse-stocks", async (req, res) => {
-  try {
-    const JSE_SYMBOLS = {
-      "Naspers": "NPN.JO",
-      "Prosus": "PRX.JO",
-      "Anglo American": "AGL.JO",
-      "BHP Group": "BHP.JO",
-      "Standard Bank": "SBK.JO",
-      "FirstRand": "FSR.JO",
-      "MTN Group": "MTN.JO",
-      "Sasol": "SOL.JO",
-      "Shoprite": "SHP.JO",
-      "Capitec Bank": "CPI.JO",
-      "Sanlam": "SLM.JO",
-      "Nedbank": "NED.JO",
-      "Vodacom": "VOD.JO",
-      "Impala Platinum": "IMP.JO",
-      "Gold Fields": "GFI.JO"
-    };
-
-    const results = [];
-
-    for (const [name, symbol] of Object.entries(JSE_SYMBOLS)) {
-      try {
-        const url = `${YAHOO_CHART}/${symbol}?interval=1d&range=5d`;
-        const r = await http.get(url);
-        const data = r.data.chart?.result?.[0];
-
-        if (!data) {
-          console.warn(`⚠️ No data for ${symbol}`);
-          continue;
-        }
-
-        const closes = data.indicators.quote[0].close.filter(n => typeof n === "number");
+const INDICATORS_MAX = 10;
 
-        if (closes.length < 2) {
-          console.warn(`⚠️ Insufficient data for ${symbol}`);
-          continue;
-        }
-
-        const currentPrice = closes.at(-1);
-        const previousPrice = closes.at(-2);
-
-        if (isNaN(currentPrice) || isNaN(previousPrice) || previousPrice === 0) {
-          console.warn(`⚠️ Invalid prices for ${symbol}`);
-          continue;
-        }
-
-        const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
+app.get("/api/indicators/:symbol", async (req, res) => {
+  try {
+    const resolved = resolveSymbol(req.params.symbol);
+    if (!resolved) {
+      return res.status(404).json({ error: `Unknown symbol "${req.params.symbol}"` });
+    }
 
-        if (isNaN(pct)) {
-          console.warn(`⚠️ Calculated NaN for ${symbol}`);
-          continue;
-        }
+    const specs = parseSymbolList(req.query.indicators || "rsi14,sma50,macd");
+    if (specs.length > INDICATORS_MAX) {
+      return res.status(400).json({ error: `At most ${INDICATORS_MAX} indicators per request` });
+    }
 
-        results.push({
-          name,
-          symbol,
-          price: `R ${currentPrice.toFixed(2)}`,
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          trend: pct >= 0 ? "positive" : "negative",
-          rawChange: pct,
-          currency: "ZAR"
-        });
+    const parsed = specs.map(parseIndicator);
+    const invalid = parsed.find(p => p.error);
+    if (invalid) return res.status(400).json({ error: invalid.error });
 
-        console.log(`✅ JSE: ${name} - R${currentPrice.toFixed(2)} (${pct.toFixed(2)}%)`);
+    const interval = req.query.interval || "1d";
+    const range = req.query.range || "1y";
+    const invalidParams = validateHistoryParams(interval, range);
+    if (invalidParams) return res.status(400).json({ error: invalidParams });
 
-      } catch (err) {
-        console.warn(`⚠️ JSE stock error ${symbol}:`, err.message);
-      }
+    const includeSeries = req.query.series !== "false";
 
-      await sleep(150);
+    let chart;
+    try {
+      chart = await loadHistory(resolved, interval, range);
+    } catch (err) {
+      console.warn(`⚠️ Indicator history unavailable for ${resolved.name}:`, err.message);
+      return res.status(502).json({ error: `No chart data for ${resolved.name}` });
     }
 
-    results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
+    // Candles only contain bars with a close; gaps are skipped, never interpolated
+    const candles = chart.candles;
+    const indicators = {};
+
+    parsed.forEach(indicator => {
+      const values = computeIndicator(indicator, candles);
+      const lastIndex = values.findLastIndex(v => v !== null);
+
+      indicators[indicator.key] = {
+        name: indicator.name,
+        period: indicator.period,
+        latest: lastIndex === -1 ? null : values[lastIndex],
+        latestTimestamp: lastIndex === -1 ? null : candles[lastIndex].timestamp,
+        ...(includeSeries && {
+          series: values.map((v, i) => (
+            v !== null && typeof v === "object"
+              ? { timestamp: candles[i].timestamp, ...v }
+              : { timestamp: candles[i].timestamp, value: v }
+          ))
+        })
+      };
+    });
 
-    console.log(`✅ Loaded ${results.length} JSE stocks`);
-    
-    res.json(results);
+    res.json({
+      name: resolved.name,
+      symbol: resolved.symbol,
+      interval,
+      range,
+      provider: chart.provider,
+      bars: candles.length,
+      missingBars: chart.missing ?? 0,
+      lastClose: candles.length ? candles.at(-1).close : null,
+      indicators
+    });
 
   } catch (err) {
-    console.error("❌ /api/jse-stocks error:", err.message);
-    res.status(500).json({ error: "Failed to fetch JSE stocks" });
+    console.error("❌ /api/indicators error:", err.message);
+    res.status(500).json({ error: "Failed to compute indicators" });
   }
 });
 
 /* ------------------------------------------------------
-   US STOCKS
+   LIVE QUOTE STREAM (SSE)
 ------------------------------------------------------ */
-app.get("/api/us-stocks", async (req, res) => {
-  try {
-    if (!EODHD_KEY) {
-      return res.status(500).json({ error: "EODHD API key not configured" });
-    }
-
-    const US_SYMBOLS = {
-      "Apple": "AAPL.US",
-      "Microsoft": "MSFT.US",
-      "Amazon": "AMZN.US",
-      "Google": "GOOGL.US",
-      "Tesla": "TSLA.US",
-      "NVIDIA": "NVDA.US",
-      "Meta": "META.US",
-      "JPMorgan": "JPM.US",
-      "Visa": "V.US",
-      "Coca-Cola": "KO.US",
-      "Johnson & Johnson": "JNJ.US",
-      "Walmart": "WMT.US",
-      "Mastercard": "MA.US",
-      "Pfizer": "PFE.US",
-      "Netflix": "NFLX.US"
-    };
+const quoteStream = createQuoteStream({
+  getQuote: async (instrument) =>
+    formatQuote(instrument, await quoteInstrument(instrument, STREAM_REFRESH_MS)),
+  refreshMs: STREAM_REFRESH_MS,
+  heartbeatMs: STREAM_HEARTBEAT_MS
+});
 
-    const results = [];
+app.get("/api/stream", (req, res) => {
+  const requested = parseSymbolList(req.query.symbols);
 
-    for (const [name, symbol] of Object.entries(US_SYMBOLS)) {
-      try {
-        const r = await http.get(
-          `https://eodhd.com/api/real-time/${symbol}?api_token=${EODHD_KEY}&fmt=json`
-        );
+  if (requested.length === 0) {
+    return res.status(400).json({ error: "Provide symbols, e.g. ?symbols=EUR/USD,Gold,BTC" });
+  }
 
-        if (!r.data) {
-          console.warn(`⚠️ No data for ${symbol}`);
-          continue;
-        }
+  if (requested.length > STREAM_MAX_SYMBOLS) {
+    return res.status(400).json({ error: `At most ${STREAM_MAX_SYMBOLS} symbols per stream` });
+  }
 
-        const close = parseFloat(r.data.close);
-        const previousClose = parseFloat(r.data.previousClose);
+  const instruments = new Map();
+  const unknown = [];
 
-        if (isNaN(close) || isNaN(previousClose) || previousClose === 0) {
-          console.warn(`⚠️ Invalid data for ${symbol}: close=${close}, prev=${previousClose}`);
-          continue;
-        }
+  requested.forEach(input => {
+    const resolved = resolveSymbol(input);
+    if (resolved) instruments.set(resolved.symbol, resolved);
+    else unknown.push(input);
+  });
 
-        const currentPrice = close;
-        const previousPrice = previousClose;
-        const pct = ((currentPrice - previousPrice) / previousPrice) * 100;
+  if (unknown.length) {
+    return res.status(400).json({ error: "Unknown symbols", unknown });
+  }
 
-        if (isNaN(pct)) {
-          console.warn(`⚠️ Calculated NaN for ${symbol}`);
-          continue;
-        }
+  console.log(`📡 Stream client subscribed to ${[...instruments.values()].map(i => i.name).join(", ")}`);
 
-        results.push({
-          name,
-          symbol,
-          price: `$${currentPrice.toFixed(2)}`,
-          change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
-          trend: pct >= 0 ? "positive" : "negative",
-          rawChange: pct,
-          currency: "USD"
-        });
+  quoteStream.subscribe(req, res, [...instruments.values()]);
+});
 
-        console.log(`✅ US: ${name} - ${pct.toFixed(2)}%`);
+/* ------------------------------------------------------
+   CRYPTO MOVERS
+------------------------------------------------------ */
+async function fetchCryptoMovers(options = {}) {
+  const items = await mapConcurrent(instrumentRegistry.group("crypto-movers"), async (instrument) => {
+    const { name, symbol } = instrument;
 
-      } catch (err) {
-        console.warn(`⚠️ US stock error ${symbol}:`, err.message);
-      }
+    try {
+      const quote = await providers.getQuote(instrument, options);
+      return formatMover(name, symbol, quote.change, "Crypto");
 
-      await sleep(100);
+    } catch (err) {
+      console.warn("⚠️ Crypto mover error:", symbol, err.message);
+      return null;
     }
+  });
 
-    results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
-
-    console.log(`✅ Loaded ${results.length} US stocks`);
-    
-    res.json(results);
+  return items;
+}
 
-  } catch (err) {
-    console.error("❌ /api/us-stocks error:", err.message);
+/* ------------------------------------------------------
+   COMMODITY MOVERS
+------------------------------------------------------ */
+// Daily moves from the /api/commodities dataset rather than a second round of quotes
+async function fetchCommodityMovers(options = {}) {
+  const rows = await loadQuoteDataset("commodity", options);
+  return rows.map(row => formatMover(row.name, row.name, row.rawChange, "Commodity"));
+}
+
+/* ------------------------------------------------------
+   STOCK MOVERS
+------------------------------------------------------ */
+async function fetchTopStocks(limit = 6) {
+  const movers = await providers.getTopMovers(limit);
+  return movers.map(m => formatMover(m.name, m.symbol, m.change, "Stock"));
+}
+
+/* ------------------------------------------------------
+   FOREX MOVERS
+------------------------------------------------------ */
+// Daily moves from the /api/forex dataset, which is already quoted through the provider chain
+async function fetchForexMovers(options = {}) {
+  const rows = await loadQuoteDataset("forex", options);
+  return rows.map(row => formatMover(row.pair, row.pair, row.rawChange, "Forex"));
+}
+
+/* ------------------------------------------------------
+   ALL MOVERS
+------------------------------------------------------ */
+async function fetchAllMovers(options = {}) {
+  const [stocksRes, cryptoRes, fxRes, comRes, indexRes] = await Promise.allSettled([
+    fetchTopStocks(6),
+    fetchCryptoMovers(options),
+    fetchForexMovers(options),
+    fetchCommodityMovers(options),
+    loadQuoteDataset("index", options)
+  ]);
+
+  let combined = [];
+
+  if (stocksRes.value) combined.push(...stocksRes.value);
+  if (cryptoRes.value) combined.push(...cryptoRes.value);
+  if (fxRes.value) combined.push(...fxRes.value);
+  if (comRes.value) combined.push(...comRes.value);
+  if (indexRes.value) combined.push(...indexRes.value.map(row => formatMover(row.name, row.symbol, row.rawChange, "Index")));
+
+  const map = new Map();
+
+  combined.forEach(item => {
+    if (
+      !map.has(item.symbol) ||
+      Math.abs(item.rawChange) > Math.abs(map.get(item.symbol).rawChange)
+    ) {
+      map.set(item.symbol, item);
+    }
+  });
+
+  const sorted = [...map.values()]
+    .sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange))
+    .slice(0, 10);
+
+  return sorted;
+}
+
+app.get("/api/all-movers", async (req, res) => {
+  try {
+    const sorted = await cache.wrap("all-movers", fetchAllMovers, { ttl: MOVERS_CACHE_TTL });
+    res.json(sorted);
+
+  } catch (err) {
+    console.error("❌ /api/all-movers error:", err.message);
+    res.status(500).json({ error: "Failed to fetch movers" });
+  }
+});
+
+/* ------------------------------------------------------
+   FOREX HEATMAP
+------------------------------------------------------ */
+// Chart interval/range per heatmap timeframe, and how many bars back each change is measured over
+const HEATMAP_TIMEFRAMES = {
+  "1h": { interval: "5m", range: "1d", bars: 12 },
+  "4h": { interval: "15m", range: "5d", bars: 16 },
+  "1d": { interval: "1d", range: "5d", bars: 1 },
+  "1w": { interval: "1d", range: "1mo", bars: 7 }
+};
+
+// Commodities are charted through their ETF proxies (heatmapSymbol), which only Yahoo lists
+const heatmapInstrument = (instrument) =>
+  instrument.heatmapSymbol
+    ? { ...instrument, symbol: instrument.heatmapSymbol, providerSymbols: { yahoo: instrument.heatmapSymbol } }
+    : instrument;
+
+// % change per timeframe for one instrument, from its provider chain; a timeframe that fails is null
+async function fetchHeatmapChanges(instrument, label, options = {}) {
+  const target = heatmapInstrument(instrument);
+
+  const entries = await Promise.all(Object.entries(HEATMAP_TIMEFRAMES).map(async ([tf, params]) => {
+    try {
+      const chart = await providers.getHistory(target, params.interval, params.range, options);
+      const closes = chart.candles.map(c => c.close);
+      if (closes.length < 2) return [tf, null];
+
+      // Fall back to the previous bar when the range is too short for the full lookback
+      const compareIndex = closes.length > params.bars ? -(params.bars + 1) : -2;
+      const current = closes.at(-1);
+      const previous = closes.at(compareIndex);
+      return [tf, ((current - previous) / previous) * 100];
+
+    } catch (err) {
+      console.warn(`⚠️ ${label} error ${target.symbol} (${tf}):`, err.message);
+      return [tf, null];
+    }
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+async function fetchForexHeatmap(options = {}) {
+  const rows = await mapConcurrent(instrumentRegistry.group("heatmap"), async (instrument) => {
+    const tfResults = await fetchHeatmapChanges(instrument, "Heatmap", options);
+    console.log(`✅ Heatmap loaded for ${instrument.name}:`, tfResults);
+    return [instrument.name, tfResults];
+  });
+
+  return Object.fromEntries(rows);
+}
+
+app.get("/api/forex-heatmap", async (req, res) => {
+  try {
+    const results = await cache.wrap("forex-heatmap", fetchForexHeatmap, { ttl: HEATMAP_TTL });
+    res.json(results);
+
+  } catch (err) {
+    console.error("❌ /api/forex-heatmap error:", err.message);
+    res.status(500).json({ error: "Failed to load heatmap" });
+  }
+});
+
+/* ------------------------------------------------------
+   CRYPTO HEATMAP
+------------------------------------------------------ */
+async function fetchCryptoHeatmap(options = {}) {
+  const rows = await mapConcurrent(instrumentRegistry.group("crypto"), async (instrument) => {
+    const tfResults = await fetchHeatmapChanges(instrument, "Crypto heatmap", options);
+    console.log(`✅ Crypto heatmap loaded for ${instrument.name}:`, tfResults);
+    return [instrument.name, tfResults];
+  });
+
+  return Object.fromEntries(rows);
+}
+
+app.get("/api/crypto-heatmap", async (req, res) => {
+  try {
+    const results = await cache.wrap("crypto-heatmap", fetchCryptoHeatmap, { ttl: HEATMAP_TTL });
+    res.json(results);
+
+  } catch (err) {
+    console.error("❌ /api/crypto-heatmap error:", err.message);
+    res.status(500).json({ error: "Failed to load crypto heatmap" });
+  }
+});
+
+/* ------------------------------------------------------
+   ECONOMIC CALENDAR
+------------------------------------------------------ */
+const CALENDAR_DEFAULT_DAYS = 30;
+const CALENDAR_MAX_DAYS = 90;
+const CALENDAR_DEFAULT_LIMIT = 100;
+const CALENDAR_MAX_LIMIT = 500;
+const CALENDAR_IMPORTANCE = ["High", "Medium", "Low"];
+
+// Used when no ?country= is given; ?country=all disables it
+const MAJOR_CALENDAR_COUNTRIES = ['US', 'GB', 'UK', 'EU', 'JP', 'CN', 'CA', 'AU', 'NZ', 'CH', 'ZA',
+                                  'DE', 'FR', 'IT', 'ES', 'BR', 'MX', 'IN',
+                                  'United States', 'United Kingdom', 'Euro Area', 'Germany',
+                                  'France', 'Japan', 'China', 'Canada', 'Australia', 'South Africa'];
+
+const countryMatches = (country, list) => {
+  const countryUpper = country.toUpperCase();
+  return list.some(c =>
+    countryUpper.includes(c.toUpperCase()) ||
+    c.toUpperCase().includes(countryUpper)
+  );
+};
+
+// Stable id so clients can page, subscribe and dedupe across refreshes
+const calendarEventId = (event) =>
+  crypto.createHash("sha1").update(`${event.date}|${event.country}|${event.event}`).digest("hex").slice(0, 16);
+
+const isoDate = (date) => date.toISOString().split('T')[0];
+
+async function fetchEconomicCalendar(fromDate, toDate) {
+  console.log("📅 Fetching economic calendar...");
+  console.log(`📆 Date range: ${fromDate} to ${toDate}`);
+  
+  const rows = await providers.getEconomicCalendar(fromDate, toDate);
+  
+  if (rows.length === 0) {
+    console.log("⚠️ No events found from FMP");
+    return [];
+  }
+  
+  console.log(`📊 Received ${rows.length} events from FMP`);
+  
+  const fromMidnight = new Date(`${fromDate}T00:00:00`);
+  
+  const events = rows
+    .filter(event => {
+      if (!event.event || !event.country || !event.date) return false;
+      const eventDate = new Date(event.date);
+      return eventDate >= fromMidnight;
+    })
+    .map(event => {
+      const dateTime = new Date(event.date);
+      const dateOnly = dateTime.toISOString().split('T')[0];
+      const hours = String(dateTime.getHours()).padStart(2, '0');
+      const minutes = String(dateTime.getMinutes()).padStart(2, '0');
+      const timeOnly = `${hours}:${minutes}`;
+      
+      let importance = "Medium";
+      const impact = (event.impact || "").toLowerCase();
+      
+      if (impact === "high") {
+        importance = "High";
+      } else if (impact === "medium") {
+        importance = "Medium";
+      } else if (impact === "low") {
+        importance = "Low";
+      } else {
+        const eventName = (event.event || "").toLowerCase();
+        const highKeywords = ['gdp', 'interest rate', 'nfp', 'non-farm', 'payroll',
+                             'cpi', 'unemployment', 'inflation', 'fed', 'fomc',
+                             'central bank', 'rate decision', 'ppi', 'retail sales'];
+        const mediumKeywords = ['pmi', 'trade balance', 'consumer confidence',
+                               'manufacturing', 'industrial production', 'sentiment'];
+        
+        if (highKeywords.some(k => eventName.includes(k))) {
+          importance = "High";
+        } else if (mediumKeywords.some(k => eventName.includes(k))) {
+          importance = "Medium";
+        } else {
+          importance = "Low";
+        }
+      }
+      
+      return {
+        id: calendarEventId(event),
+        date: dateOnly,
+        time: timeOnly,
+        country: event.country,
+        event: event.event,
+        actual: event.actual !== null && event.actual !== undefined ? event.actual : null,
+        forecast: event.estimate !== null && event.estimate !== undefined ? event.estimate : null,
+        previous: event.previous !== null && event.previous !== undefined ? event.previous : null,
+        importance: importance,
+        currency: event.currency || event.country,
+        rawDateTime: dateTime
+      };
+    })
+    .sort((a, b) => a.rawDateTime - b.rawDateTime || a.id.localeCompare(b.id));
+  
+  console.log(`✅ Loaded ${events.length} economic events`);
+  
+  if (events.length > 0) {
+    console.log(`📅 First event: ${events[0].date} ${events[0].time} - ${events[0].event} (${events[0].country})`);
+    console.log(`📅 Last event: ${events[events.length - 1].date} - ${events[events.length - 1].event}`);
+    
+    const eventsByDate = {};
+    events.forEach(e => {
+      eventsByDate[e.date] = (eventsByDate[e.date] || 0) + 1;
+    });
+    
+    const dateList = Object.keys(eventsByDate).slice(0, 10).map(d => `${d}: ${eventsByDate[d]}`);
+    console.log(`📊 Events distribution: [${dateList.join(', ')}]`);
+  } else {
+    console.log("⚠️ No events found after filtering");
+  }
+
+  archiveCalendarEvents(events);
+
+  return events;
+}
+
+// Past releases are kept locally so surprises and reactions survive FMP's rolling window
+const calendarArchive = createStore("calendar-events");
+const CALENDAR_ARCHIVE_DAYS = 730;
+
+function archiveCalendarEvents(events) {
+  const now = Date.now();
+  const released = events.filter(e => new Date(e.rawDateTime).getTime() <= now);
+  if (!released.length) return;
+
+  calendarArchive.upsertMany(released);
+
+  const cutoff = now - CALENDAR_ARCHIVE_DAYS * 86400000;
+  const pruned = calendarArchive.removeWhere(e => new Date(e.rawDateTime).getTime() < cutoff);
+
+  console.log(`🗄️ Archived ${released.length} released events${pruned ? ` (pruned ${pruned})` : ""}`);
+}
+
+// FMP is only ever asked for these two windows around today, once per TTL, whatever range clients
+// request; requests are filtered from them in memory and older releases come from the archive
+const CALENDAR_WINDOWS = [
+  { key: "economic-calendar_past", fromDays: -CALENDAR_MAX_DAYS, toDays: 0 },
+  { key: "economic-calendar_ahead", fromDays: 0, toDays: CALENDAR_MAX_DAYS }
+];
+
+const calendarWindowDates = (window) => {
+  const now = Date.now();
+  return {
+    from: isoDate(new Date(now + window.fromDays * 86400000)),
+    to: isoDate(new Date(now + window.toDays * 86400000))
+  };
+};
+
+// refresh: reload from FMP even if cached (used by the pre-warming job)
+function loadCalendarWindow(window, { refresh = false } = {}) {
+  const { from, to } = calendarWindowDates(window);
+
+  return (refresh ? cache.refresh : cache.wrap)(
+    window.key,
+    () => fetchEconomicCalendar(from, to),
+    { ttl: (value) => (value.length ? CALENDAR_TTL : CALENDAR_RETRY_TTL) }
+  );
+}
+
+async function loadEconomicCalendar(fromDate, toDate) {
+  const overlapping = CALENDAR_WINDOWS.filter(window => {
+    const { from, to } = calendarWindowDates(window);
+    return from <= toDate && to >= fromDate;
+  });
+
+  const fetched = (await Promise.all(overlapping.map(window => loadCalendarWindow(window))))
+    .flat()
+    .filter(e => e.date >= fromDate && e.date <= toDate);
+
+  // Fresh FMP data wins over the archive; the archive fills in what FMP no longer returns
+  const byId = new Map(
+    calendarArchive
+      .find(e => e.date >= fromDate && e.date <= toDate)
+      .map(({ createdAt, updatedAt, ...e }) => [e.id, { ...e, rawDateTime: new Date(e.rawDateTime) }])
+  );
+  fetched.forEach(e => byId.set(e.id, e));
+
+  return [...byId.values()].sort((a, b) => a.rawDateTime - b.rawDateTime || a.id.localeCompare(b.id));
+}
+
+// Attach surprise scores, standardized against earlier releases of the same series
+function withSurprises(events) {
+  const errorsBySeries = {};
+  calendarArchive.all().forEach(e => {
+    const actual = releaseValue(e.actual);
+    const forecast = releaseValue(e.forecast);
+    if (actual === null || forecast === null) return;
+
+    (errorsBySeries[seriesKey(e)] ||= []).push({ time: new Date(e.rawDateTime).getTime(), error: actual - forecast });
+  });
+
+  return events.map(event => {
+    const time = new Date(event.rawDateTime).getTime();
+    const pastErrors = (errorsBySeries[seriesKey(event)] || [])
+      .filter(p => p.time < time)
+      .map(p => p.error);
+
+    return { ...event, surprise: computeSurprise(event, pastErrors) };
+  });
+}
+
+/**
+ * Parse calendar query parameters:
+ *   from, to (YYYY-MM-DD), country, currency, importance (comma lists),
+ *   q (keyword), limit, cursor
+ * Returns the parsed filters or { error }.
+ */
+function parseCalendarQuery(query, defaults = {}) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+  const dateError = { error: "from and to must be dates in YYYY-MM-DD format" };
+
+  const from = query.from || isoDate(new Date());
+  if (!isDay(from)) return dateError;
+
+  const to = query.to || isoDate(new Date(Date.parse(from) + CALENDAR_DEFAULT_DAYS * 86400000));
+  if (!isDay(to)) return dateError;
+
+  const spanDays = (Date.parse(to) - Date.parse(from)) / 86400000;
+  if (spanDays < 0) return { error: "from must be on or before to" };
+  if (spanDays > CALENDAR_MAX_DAYS) return { error: `Date range cannot exceed ${CALENDAR_MAX_DAYS} days` };
+
+  // Repeated ?country= arrives as an array; parseSymbolList joins it
+  const countryList = parseSymbolList(query.country || defaults.country);
+  const countries = !countryList.length
+    ? MAJOR_CALENDAR_COUNTRIES
+    : countryList.some(c => c.toLowerCase() === "all") ? null : countryList;
+
+  const currencies = query.currency ? parseSymbolList(query.currency).map(c => c.toUpperCase()) : null;
+
+  const importanceParam = query.importance || defaults.importance;
+  const importance = importanceParam
+    ? parseSymbolList(importanceParam).map(i => i.charAt(0).toUpperCase() + i.slice(1).toLowerCase())
+    : null;
+  if (importance && importance.some(i => !CALENDAR_IMPORTANCE.includes(i))) {
+    return { error: `importance must be one or more of: ${CALENDAR_IMPORTANCE.join(", ")}` };
+  }
+
+  const limit = query.limit === undefined ? (defaults.limit || CALENDAR_DEFAULT_LIMIT) : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > CALENDAR_MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${CALENDAR_MAX_LIMIT}` };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) return { error: "Invalid cursor" };
+
+  return {
+    from,
+    to,
+    countries,
+    currencies,
+    importance,
+    keyword: query.q ? String(query.q).toLowerCase() : null,
+    limit,
+    cursor
+  };
+}
+
+function filterCalendarEvents(events, filters) {
+  return events.filter(event => {
+    if (event.date > filters.to) return false;
+    if (filters.countries && !countryMatches(event.country, filters.countries)) return false;
+    if (filters.currencies && !filters.currencies.includes(String(event.currency).toUpperCase())) return false;
+    if (filters.importance && !filters.importance.includes(event.importance)) return false;
+    if (filters.keyword && !event.event.toLowerCase().includes(filters.keyword)) return false;
+    return true;
+  });
+}
+
+const calendarCursorKey = (event) => ({ time: new Date(event.rawDateTime).getTime(), id: event.id });
+
+app.get("/api/economic-calendar", async (req, res) => {
+  try {
+    const filters = parseCalendarQuery(req.query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const events = filterCalendarEvents(await loadEconomicCalendar(filters.from, filters.to), filters);
+    const { page, nextCursor } = paginateByCursor(events, filters, calendarCursorKey);
+
+    setPaginationHeaders(req, res, events.length, nextCursor && { cursor: nextCursor });
+    res.json(withSurprises(page));
+    
+  } catch (err) {
+    console.error("❌ FMP calendar error:", err.message);
+    
+    if (err.response) {
+      console.error("📍 FMP Response status:", err.response.status);
+      console.error("📍 FMP Response data:", err.response.data);
+    }
+    
+    res.status(500).json({ 
+      error: "Failed to fetch economic calendar",
+      details: err.message 
+    });
+  }
+});
+
+// Hourly bars cover 1h/4h/1d reactions; Yahoo keeps them for about two years
+function reactionRange(releaseTime) {
+  const days = (Date.now() - new Date(releaseTime).getTime()) / 86400000 + 2;
+  if (days <= 5) return "5d";
+  if (days <= 30) return "1mo";
+  if (days <= 90) return "3mo";
+  if (days <= 180) return "6mo";
+  if (days <= 365) return "1y";
+  if (days <= 730) return "2y";
+  return null;
+}
+
+async function fetchReleaseReaction(event) {
+  const related = REACTION_INSTRUMENTS[String(event.currency).toUpperCase()];
+  if (!related) return null;
+
+  const range = reactionRange(event.rawDateTime);
+  const reactions = {};
+
+  for (const role of ["pair", "index"]) {
+    const instrument = instrumentRegistry.resolve(related[role]);
+
+    if (!instrument) {
+      reactions[role] = { name: related[role], symbol: null, error: "Instrument is not in the instrument universe" };
+      continue;
+    }
+
+    if (!range) {
+      reactions[role] = { name: instrument.name, symbol: instrument.symbol, error: "Release is older than available hourly data" };
+      continue;
+    }
+
+    try {
+      const history = await loadHistory(instrument, "1h", range);
+      reactions[role] = {
+        name: instrument.name,
+        symbol: instrument.symbol,
+        provider: history.provider,
+        ...measureReaction(history.candles, event.rawDateTime)
+      };
+    } catch (err) {
+      console.log(`⚠️ Reaction data unavailable for ${instrument.name}: ${err.message}`);
+      reactions[role] = { name: instrument.name, symbol: instrument.symbol, error: "Data unavailable" };
+    }
+  }
+
+  return reactions;
+}
+
+app.get("/api/economic-calendar/:id/reaction", async (req, res) => {
+  try {
+    const stored = calendarArchive.get(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: "Release not found (only past events are archived)" });
+    }
+
+    const { createdAt, updatedAt, ...event } = stored;
+    const [scored] = withSurprises([event]);
+
+    // Complete reactions never change; partial ones are refreshed as bars arrive
+    const reaction = await cache.wrap(
+      `release-reaction_${event.id}`,
+      () => fetchReleaseReaction(event),
+      {
+        ttl: (value) => {
+          const moves = value ? Object.values(value).flatMap(r => Object.values(r.moves || {})) : [];
+          return moves.length && moves.every(m => m !== null) ? HISTORY_TTL : GENERIC_TTL;
+        }
+      }
+    );
+
+    if (!reaction) {
+      return res.status(422).json({ error: `No reaction instruments mapped for currency "${event.currency}"` });
+    }
+
+    res.json({ ...scored, reaction });
+
+  } catch (err) {
+    console.error("❌ Release reaction error:", err.message);
+    res.status(500).json({ error: "Failed to analyse release reaction" });
+  }
+});
+
+// RFC 5545 text escaping and 75-octet line folding
+const icsEscape = (text) => String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+function icsFold(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = " " + rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join("\r\n");
+}
+
+const icsTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function buildCalendarIcs(events) {
+  const stamp = icsTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Marome Investments//Economic Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Marome Economic Calendar"
+  ];
+
+  for (const event of events) {
+    const details = [
+      `Importance: ${event.importance}`,
+      `Forecast: ${event.forecast ?? "n/a"}`,
+      `Previous: ${event.previous ?? "n/a"}`,
+      event.actual !== null ? `Actual: ${event.actual}` : null
+    ].filter(Boolean).join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.id}@marome-investments`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTimestamp(event.rawDateTime)}`,
+      "DURATION:PT30M",
+      `SUMMARY:${icsEscape(`[${event.country}] ${event.event}`)}`,
+      `DESCRIPTION:${icsEscape(details)}`,
+      `CATEGORIES:${icsEscape(event.importance)}`,
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Subscribable feed; same filters as the JSON endpoint, high impact only by default
+app.get("/api/economic-calendar.ics", async (req, res) => {
+  try {
+    const filters = parseCalendarQuery(req.query, { importance: "High", limit: CALENDAR_MAX_LIMIT });
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const events = filterCalendarEvents(await loadEconomicCalendar(filters.from, filters.to), filters)
+      .slice(0, filters.limit);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="economic-calendar.ics"');
+    res.send(buildCalendarIcs(events));
+
+  } catch (err) {
+    console.error("❌ Calendar feed error:", err.message);
+    res.status(500).json({ error: "Failed to build calendar feed" });
+  }
+});
+
+/* ------------------------------------------------------
+   JSE STOCKS
+------------------------------------------------------ */
+const SCREENER_DEFAULT_LIMIT = 100;
+const SCREENER_MAX_LIMIT = 200;
+
+// Sortable fields → row accessor; text fields sort ascending by default
+const SCREENER_SORTS = {
+  name: { value: (r) => r.name, text: true },
+  symbol: { value: (r) => r.symbol, text: true },
+  sector: { value: (r) => r.sector, text: true },
+  price: { value: (r) => r.rawPrice },
+  change: { value: (r) => r.rawChange },
+  absChange: { value: (r) => Math.abs(r.rawChange) },
+  volume: { value: (r) => r.volume },
+  marketCap: { value: (r) => r.marketCap }
+};
+
+// Numeric range filters: query param → row accessor
+const SCREENER_RANGES = {
+  Change: (r) => r.rawChange,
+  Price: (r) => r.rawPrice,
+  Volume: (r) => r.volume,
+  MarketCap: (r) => r.marketCap
+};
+
+// Fundamentals change slowly; a failed lookup just leaves market cap empty
+function loadProfile(instrument) {
+  return cache.wrap(`profile_${instrument.symbol}`, () => providers.getProfile(instrument), { ttl: PROFILE_TTL })
+    .catch(() => null);
+}
+
+async function fetchJseStock(instrument, top40, options = {}) {
+  const { name, symbol } = instrument;
+
+  try {
+    const [quote, profile] = await Promise.all([providers.getQuote(instrument, options), loadProfile(instrument)]);
+    const currentPrice = quote.price;
+    const pct = quote.change;
+
+    const marketCap = profile?.sharesOutstanding
+      ? currentPrice * profile.sharesOutstanding
+      : profile?.marketCap ?? null;
+
+    return {
+      name,
+      symbol,
+      price: `R ${currentPrice.toFixed(2)}`,
+      change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+      trend: pct >= 0 ? "positive" : "negative",
+      rawChange: pct,
+      rawPrice: currentPrice,
+      currency: "ZAR",
+      sector: instrument.sector,
+      top40: top40.has(symbol),
+      volume: quote.volume,
+      marketCap,
+      provider: quote.provider
+    };
+
+  } catch (err) {
+    console.warn(`⚠️ JSE stock error ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+async function fetchJseStocks(options = {}) {
+  const universe = instrumentRegistry.group("jse-stocks");
+  const top40 = new Set(instrumentRegistry.group("jse-top40").map(i => i.symbol));
+
+  // The upstream scheduler paces the whole universe, so every stock is queued at once
+  const results = await mapConcurrent(universe, inst => fetchJseStock(inst, top40, options));
+
+  results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
+
+  console.log(`✅ Loaded ${results.length}/${universe.length} JSE stocks`);
+
+  return results;
+}
+
+/**
+ * Screener query: sector (comma list), top40=true, min/max{Change,Price,Volume,MarketCap},
+ * sort (see SCREENER_SORTS), order (asc|desc), limit, offset.
+ * Returns { filters, sort, order, limit, offset } or { error }.
+ */
+function parseScreenerQuery(query) {
+  const ranges = [];
+  for (const [field, value] of Object.entries(SCREENER_RANGES)) {
+    for (const bound of ["min", "max"]) {
+      const raw = query[`${bound}${field}`];
+      if (raw === undefined) continue;
+
+      const n = Number(raw);
+      if (raw === "" || !Number.isFinite(n)) return { error: `${bound}${field} must be a number` };
+      ranges.push({ value, bound, n });
+    }
+  }
+
+  const sort = query.sort || "absChange";
+  if (!SCREENER_SORTS[sort]) return { error: `sort must be one of: ${Object.keys(SCREENER_SORTS).join(", ")}` };
+
+  const order = query.order || (SCREENER_SORTS[sort].text ? "asc" : "desc");
+  if (!["asc", "desc"].includes(order)) return { error: "order must be asc or desc" };
+
+  const limit = query.limit === undefined ? SCREENER_DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SCREENER_MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${SCREENER_MAX_LIMIT}` };
+  }
+
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be a non-negative integer" };
+
+  return {
+    sectors: query.sector ? parseSymbolList(query.sector).map(s => s.toLowerCase()) : null,
+    top40: query.top40 === "true",
+    ranges,
+    sort,
+    order,
+    limit,
+    offset
+  };
+}
+
+function screenStocks(rows, { sectors, top40, ranges, sort, order }) {
+  const filtered = rows.filter(row => {
+    if (sectors && !sectors.includes(String(row.sector).toLowerCase())) return false;
+    if (top40 && !row.top40) return false;
+
+    // Rows missing a value (e.g. no market cap) never pass a range filter on it
+    return ranges.every(({ value, bound, n }) => {
+      const v = value(row);
+      if (v === null || v === undefined) return false;
+      return bound === "min" ? v >= n : v <= n;
+    });
+  });
+
+  const { value, text } = SCREENER_SORTS[sort];
+  const direction = order === "asc" ? 1 : -1;
+
+  // Missing values always sort last
+  return filtered.sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    return direction * (text ? String(va).localeCompare(String(vb)) : va - vb);
+  });
+}
+
+app.get("/api/jse-stocks", async (req, res) => {
+  try {
+    const screen = parseScreenerQuery(req.query);
+    if (screen.error) return res.status(400).json({ error: screen.error });
+
+    const { currency, error } = parseDisplayCurrency(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const rows = screenStocks(await loadQuoteDataset("jse-stock"), screen);
+    const page = rows.slice(screen.offset, screen.offset + screen.limit);
+    const nextOffset = screen.offset + screen.limit;
+
+    setPaginationHeaders(req, res, rows.length, nextOffset < rows.length && { offset: String(nextOffset) });
+    res.json(currency ? await convertRows(page, currency) : page);
+
+  } catch (err) {
+    console.error("❌ /api/jse-stocks error:", err.message);
+    res.status(500).json({ error: "Failed to fetch JSE stocks" });
+  }
+});
+
+/* ------------------------------------------------------
+   US STOCKS
+------------------------------------------------------ */
+async function fetchUsStocks(options = {}) {
+  const results = await mapConcurrent(instrumentRegistry.group("us-stocks"), async (instrument) => {
+    const { name, symbol } = instrument;
+
+    try {
+      const quote = await providers.getQuote(instrument, options);
+      const currentPrice = quote.price;
+      const pct = quote.change;
+
+      console.log(`✅ US: ${name} - ${pct.toFixed(2)}% via ${quote.provider}`);
+
+      return {
+        name,
+        symbol,
+        price: `$${currentPrice.toFixed(2)}`,
+        change: `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`,
+        trend: pct >= 0 ? "positive" : "negative",
+        rawChange: pct,
+        rawPrice: currentPrice,
+        currency: "USD",
+        provider: quote.provider
+      };
+
+    } catch (err) {
+      console.warn(`⚠️ US stock error ${symbol}:`, err.message);
+      return null;
+    }
+  });
+
+  results.sort((a, b) => Math.abs(b.rawChange) - Math.abs(a.rawChange));
+
+  console.log(`✅ Loaded ${results.length} US stocks`);
+
+  return results;
+}
+
+app.get("/api/us-stocks", async (req, res) => {
+  try {
+    const { currency, error } = parseDisplayCurrency(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const results = await cache.wrap("us-stocks", fetchUsStocks, { ttl: GENERIC_TTL });
+    res.json(currency ? await convertRows(results, currency) : results);
+
+  } catch (err) {
+    console.error("❌ /api/us-stocks error:", err.message);
     res.status(500).json({ error: "Failed to fetch US stocks" });
   }
 });
 
-/* ------------------------------------------------------
-   SA MARKETS
------------------------------------------------------- */
+/* ------------------------------------------------------
+   SA MARKETS
+------------------------------------------------------ */
+const SA_COUNTRIES = ["ZA", "South Africa"];
+const SA_EVENT_COUNT = 5;
+
+// High-impact SA releases the event card tracks, matched on the calendar event name
+const SA_KEY_EVENTS = [
+  { key: "mpc", label: "SARB Interest Rate Decision", match: /interest rate|rate decision|repo rate|mpc/i },
+  { key: "cpi", label: "CPI", match: /\bcpi\b|inflation/i },
+  { key: "gdp", label: "GDP", match: /\bgdp\b/i },
+  { key: "trade", label: "Trade Balance", match: /trade balance/i }
+];
+
+const saEventCategory = (event) => SA_KEY_EVENTS.find(k => k.match.test(event.event)) || null;
+
+function countdown(target, now = Date.now()) {
+  const ms = Math.max(0, new Date(target).getTime() - now);
+  const days = Math.floor(ms / 86400000);
+  const hours = Math.floor((ms % 86400000) / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+
+  return {
+    ms,
+    days,
+    hours,
+    minutes,
+    label: days ? `${days}d ${hours}h` : hours ? `${hours}h ${minutes}m` : `${minutes}m`
+  };
+}
+
+const longDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+
+/* ------------------------------------------------------
+   SARB MPC SCHEDULE
+   The calendar providers rarely list MPC decisions far
+   ahead, so the published dates are kept in
+   config/sarb-mpc.json: { timeUtc: "HH:MM", dates: [YYYY-MM-DD] }.
+   Statements are usually released around 15:00 SAST.
+------------------------------------------------------ */
+function loadSarbSchedule() {
+  try {
+    const { timeUtc = "13:00", dates } = JSON.parse(fs.readFileSync(SARB_MPC_FILE, "utf8"));
+    if (!Array.isArray(dates)) throw new Error("expected a dates array");
+    if (!/^\d{2}:\d{2}$/.test(timeUtc)) throw new Error(`invalid timeUtc "${timeUtc}"`);
+
+    const valid = dates.filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d)));
+    if (valid.length < dates.length) {
+      console.warn(`⚠️ Ignoring ${dates.length - valid.length} invalid SARB MPC dates in ${SARB_MPC_FILE}`);
+    }
+    return { timeUtc, dates: valid.sort() };
+  } catch (err) {
+    console.warn(`⚠️ No SARB MPC schedule loaded from ${SARB_MPC_FILE}:`, err.message);
+    return { timeUtc: "13:00", dates: [] };
+  }
+}
+
+const sarbSchedule = loadSarbSchedule();
+const sarbDecisionTime = (date) => new Date(`${date}T${sarbSchedule.timeUtc}:00Z`);
+
+// Warning text once every configured MPC date has passed, else null
+function sarbScheduleWarning(now = new Date()) {
+  if (sarbSchedule.dates.some(date => sarbDecisionTime(date) > now)) return null;
+
+  const last = sarbSchedule.dates[sarbSchedule.dates.length - 1];
+  return `SARB MPC schedule in ${path.basename(SARB_MPC_FILE)} has no future dates${last ? ` (last: ${last})` : ""}; add the next published dates`;
+}
+
+// Logs the warning once each time the schedule runs out
+let sarbWarningLogged = false;
+function checkSarbSchedule() {
+  const warning = sarbScheduleWarning();
+  if (warning && !sarbWarningLogged) console.warn(`⚠️ ${warning}`);
+  sarbWarningLogged = Boolean(warning);
+}
+
+checkSarbSchedule();
+
+// MPC dates from config, skipping any the calendar already lists
+function sarbScheduleEvents(calendarEvents) {
+  checkSarbSchedule();
+
+  const listed = new Set(
+    calendarEvents.filter(e => saEventCategory(e)?.key === "mpc").map(e => e.date)
+  );
+
+  return sarbSchedule.dates
+    .filter(date => !listed.has(date))
+    .map(date => ({
+      id: `sarb-mpc-${date}`,
+      date,
+      time: sarbSchedule.timeUtc,
+      country: "ZA",
+      event: "SARB Interest Rate Decision",
+      actual: null,
+      forecast: null,
+      previous: null,
+      importance: "High",
+      currency: "ZAR",
+      rawDateTime: sarbDecisionTime(date),
+      source: "sarb-schedule"
+    }));
+}
+
+/**
+ * Next high-importance ZA releases with countdowns, each carrying the
+ * last released outcome of the same category.
+ */
+async function buildSaEvents(count = SA_EVENT_COUNT) {
+  const now = new Date();
+  const today = isoDate(now);
+  const daysAgo = isoDate(new Date(now.getTime() - CALENDAR_MAX_DAYS * 86400000));
+  const ahead = isoDate(new Date(now.getTime() + CALENDAR_MAX_DAYS * 86400000));
+
+  const [past, upcoming] = await Promise.all([
+    loadEconomicCalendar(daysAgo, today).catch(() => []),
+    loadEconomicCalendar(today, ahead).catch(() => [])
+  ]);
+
+  const saEvents = filterCalendarEvents([...past, ...upcoming], { to: ahead, countries: SA_COUNTRIES });
+  const unique = [...new Map(saEvents.map(e => [e.id, e])).values()];
+
+  const lastOutcomes = {};
+  withSurprises(unique.filter(e => e.actual !== null && new Date(e.rawDateTime) <= now))
+    .sort((a, b) => new Date(b.rawDateTime) - new Date(a.rawDateTime))
+    .forEach(e => {
+      const category = saEventCategory(e);
+      if (!category || lastOutcomes[category.key]) return;
+
+      lastOutcomes[category.key] = {
+        event: e.event,
+        date: e.date,
+        actual: e.actual,
+        forecast: e.forecast,
+        previous: e.previous,
+        surprise: e.surprise
+      };
+    });
+
+  const candidates = [...unique, ...sarbScheduleEvents(unique)]
+    .filter(e => new Date(e.rawDateTime) > now)
+    .filter(e => e.importance === "High" || saEventCategory(e))
+    .sort((a, b) => new Date(a.rawDateTime) - new Date(b.rawDateTime))
+    .slice(0, count);
+
+  return candidates.map(e => {
+    const category = saEventCategory(e);
+
+    return {
+      id: e.id,
+      name: e.event,
+      category: category ? category.key : null,
+      date: e.date,
+      time: e.time,
+      datetime: new Date(e.rawDateTime).toISOString(),
+      importance: e.importance,
+      forecast: e.forecast,
+      previous: e.previous,
+      source: e.source || "calendar",
+      countdown: countdown(e.rawDateTime, now.getTime()),
+      lastOutcome: category ? lastOutcomes[category.key] || null : null
+    };
+  });
+}
+
 app.get("/api/sa-markets", async (req, res) => {
   try {
-    const indicesResp = await http.get(`http://localhost:${PORT}/api/indices`).catch(() => ({ data: [] }));
-    const allIndices = indicesResp.data || [];
+    const allIndices = await loadQuoteDataset("index").catch(() => []);
     
     const jseIndices = allIndices.filter(idx => 
       idx.name.includes("JSE") || idx.symbol.includes(".JO")
     );
 
-    const forexResp = await http.get(`http://localhost:${PORT}/api/forex`).catch(() => ({ data: [] }));
-    const allForex = forexResp.data || [];
+    const allForex = await loadQuoteDataset("forex").catch(() => []);
     
     const zarForex = allForex.filter(fx => 
       fx.pair.includes("ZAR")
     );
 
-    const commoditiesResp = await http.get(`http://localhost:${PORT}/api/commodities`).catch(() => ({ data: [] }));
-    const allCommodities = commoditiesResp.data || [];
+    const allCommodities = await loadQuoteDataset("commodity").catch(() => []);
 
-    const usdZarPair = zarForex.find(fx => fx.pair === "USD/ZAR");
-    const usdZarRate = usdZarPair ? usdZarPair.price : 18.75;
+    // No stand-in rate: without a live USD/ZAR the ZAR prices are null and fx says why
+    const usdZar = conversionRate(buildRateGraph(allForex), "USD", "ZAR");
 
     const commoditiesInZAR = allCommodities.map(comm => {
-      const priceUSD = parseFloat(comm.price);
-      const priceZAR = priceUSD * usdZarRate;
+      const priceUSD = comm.rawPrice;
+      const priceZAR = usdZar.rate !== null ? priceUSD * usdZar.rate : null;
       
       return {
         name: comm.name,
-        priceZAR: `R ${priceZAR.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`,
+        priceZAR: priceZAR !== null ? `R ${priceZAR.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}` : null,
         change: comm.change,
         rawChange: comm.rawChange
       };
     });
 
-    const nextEvent = {
-      name: "SARB Interest Rate Decision",
-      date: "March 27, 2026"
-    };
+    const upcomingEvents = await buildSaEvents();
+    const next = upcomingEvents[0];
+
+    // name/date keep the original card shape; the rest is for the countdown UI
+    const nextEvent = next
+      ? { name: next.name, date: longDate(next.datetime), datetime: next.datetime, countdown: next.countdown }
+      : null;
 
     res.json({
       indices: jseIndices,
       forex: zarForex,
       commodities: commoditiesInZAR,
-      nextEvent: nextEvent
+      fx: usdZar,
+      nextEvent: nextEvent,
+      upcomingEvents,
+      scheduleWarning: sarbScheduleWarning()
     });
 
   } catch (err) {
@@ -1303,10 +2707,623 @@ app.get("/api/sa-markets", async (req, res) => {
   }
 });
 
+/* ------------------------------------------------------
+   ALERTS
+------------------------------------------------------ */
+async function getAlertMetrics(instrument, timeframes) {
+  const rows = await loadQuoteDataset(instrument.assetClass);
+  const row = rows.find(r => r.name === instrument.name);
+  if (!row) throw new Error(`No quote for ${instrument.name}`);
+
+  const changes = { "1d": row.rawChange };
+
+  if (timeframes.some(tf => tf !== "1d")) {
+    const grid = await loadHeatmapDataset(instrument.assetClass);
+    const tfChanges = grid[instrument.name] || {};
+
+    for (const tf of timeframes) {
+      if (tf !== "1d" && typeof tfChanges[tf] === "number") changes[tf] = tfChanges[tf];
+    }
+  }
+
+  return { price: row.rawPrice, changes };
+}
+
+const alertRules = createStore("alerts");
+const alertTriggers = createStore("alert-triggers");
+
+const alertEngine = createAlertEngine({
+  rules: alertRules,
+  triggers: alertTriggers,
+  resolveSymbol,
+  getMetrics: getAlertMetrics,
+  supportsTimeframe: (instrument, tf) => tf === "1d" || Boolean(HEATMAP_DATASETS[instrument.assetClass]),
+  defaultWebhookUrl: ALERT_WEBHOOK_URL,
+  webhookHosts: ALERT_WEBHOOK_HOSTS,
+  intervalMs: ALERT_CHECK_INTERVAL_MS
+});
+
+const triggerHistory = (predicate, limit) =>
+  alertTriggers
+    .find(predicate)
+    .sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt))
+    .slice(0, limit);
+
+app.get("/api/alerts", (req, res) => {
+  res.json(alertRules.find(ownedBy(req.principal)));
+});
+
+app.post("/api/alerts", (req, res) => {
+  const { rule, error } = alertEngine.validateRule(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  res.status(201).json(alertRules.insert({ ...rule, ...ownerOf(req.principal) }));
+});
+
+app.get("/api/alerts/history", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const ids = new Set(alertRules.find(ownedBy(req.principal)).map(rule => rule.id));
+  res.json(triggerHistory(t => ids.has(t.alertId), limit));
+});
+
+app.get("/api/alerts/:id", (req, res) => {
+  const rule = ownedRecord(alertRules, req.params.id, req.principal);
+  if (!rule) return res.status(404).json({ error: "Alert not found" });
+
+  res.json({ ...rule, history: triggerHistory(t => t.alertId === rule.id, 20) });
+});
+
+app.patch("/api/alerts/:id", (req, res) => {
+  const existing = ownedRecord(alertRules, req.params.id, req.principal);
+  if (!existing) return res.status(404).json({ error: "Alert not found" });
+
+  const { rule, error } = alertEngine.validateRule(req.body || {}, existing);
+  if (error) return res.status(400).json({ error });
+
+  res.json(alertRules.update(existing.id, rule));
+});
+
+app.delete("/api/alerts/:id", (req, res) => {
+  if (!ownedRecord(alertRules, req.params.id, req.principal)) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+
+  alertRules.remove(req.params.id);
+  alertTriggers.removeWhere(t => t.alertId === req.params.id);
+  res.status(204).end();
+});
+
+app.get("/api/alerts/:id/history", (req, res) => {
+  if (!ownedRecord(alertRules, req.params.id, req.principal)) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json(triggerHistory(t => t.alertId === req.params.id, limit));
+});
+
+/* ------------------------------------------------------
+   PORTFOLIOS
+------------------------------------------------------ */
+const portfolios = createStore("portfolios");
+const portfolioPositions = createStore("positions");
+
+const positionsOf = (portfolioId) => portfolioPositions.find(p => p.portfolioId === portfolioId);
+
+app.get("/api/portfolios", (req, res) => {
+  res.json(portfolios.find(ownedBy(req.principal)).map(p => ({ ...p, positionCount: positionsOf(p.id).length })));
+});
+
+app.post("/api/portfolios", (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  res.status(201).json(portfolios.insert({ name, ...ownerOf(req.principal) }));
+});
+
+app.get("/api/portfolios/:id", (req, res) => {
+  const portfolio = ownedRecord(portfolios, req.params.id, req.principal);
+  if (!portfolio) return res.status(404).json({ error: "Portfolio not found" });
+
+  res.json({ ...portfolio, positions: positionsOf(portfolio.id) });
+});
+
+app.patch("/api/portfolios/:id", (req, res) => {
+  if (!ownedRecord(portfolios, req.params.id, req.principal)) return res.status(404).json({ error: "Portfolio not found" });
+
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  res.json(portfolios.update(req.params.id, { name }));
+});
+
+app.delete("/api/portfolios/:id", (req, res) => {
+  if (!ownedRecord(portfolios, req.params.id, req.principal)) return res.status(404).json({ error: "Portfolio not found" });
+
+  portfolios.remove(req.params.id);
+  portfolioPositions.removeWhere(p => p.portfolioId === req.params.id);
+  res.status(204).end();
+});
+
+app.post("/api/portfolios/:id/positions", (req, res) => {
+  if (!ownedRecord(portfolios, req.params.id, req.principal)) return res.status(404).json({ error: "Portfolio not found" });
+
+  const { position, error } = validatePosition(req.body || {}, resolveSymbol);
+  if (error) return res.status(400).json({ error });
+
+  res.status(201).json(portfolioPositions.insert({ portfolioId: req.params.id, ...position }));
+});
+
+app.patch("/api/portfolios/:id/positions/:positionId", (req, res) => {
+  const existing = portfolioPositions.get(req.params.positionId);
+  if (!existing || existing.portfolioId !== req.params.id || !ownedRecord(portfolios, req.params.id, req.principal)) {
+    return res.status(404).json({ error: "Position not found" });
+  }
+
+  const { position, error } = validatePosition(req.body || {}, resolveSymbol, existing);
+  if (error) return res.status(400).json({ error });
+
+  res.json(portfolioPositions.update(existing.id, position));
+});
+
+app.delete("/api/portfolios/:id/positions/:positionId", (req, res) => {
+  const existing = portfolioPositions.get(req.params.positionId);
+  if (!existing || existing.portfolioId !== req.params.id || !ownedRecord(portfolios, req.params.id, req.principal)) {
+    return res.status(404).json({ error: "Position not found" });
+  }
+
+  portfolioPositions.remove(existing.id);
+  res.status(204).end();
+});
+
+app.get("/api/portfolios/:id/valuation", async (req, res) => {
+  try {
+    const portfolio = ownedRecord(portfolios, req.params.id, req.principal);
+    if (!portfolio) return res.status(404).json({ error: "Portfolio not found" });
+
+    const positions = positionsOf(portfolio.id);
+    const datasets = {};
+
+    for (const assetClass of new Set(positions.map(p => p.assetClass))) {
+      datasets[assetClass] = await loadQuoteDataset(assetClass).catch(err => {
+        console.warn(`⚠️ Valuation quotes unavailable for ${assetClass}:`, err.message);
+        return [];
+      });
+    }
+
+    // Same cross rates as the display-currency conversions
+    const graph = await loadRateGraph();
+    const zarRate = (currency) => findRate(graph, currency, "ZAR")?.rate ?? null;
+
+    const quoteFor = (position) => {
+      const row = (datasets[position.assetClass] || []).find(r => r.name === position.symbol);
+      return row ? { price: row.rawPrice, rawChange: row.rawChange } : null;
+    };
+
+    const valuation = valuePositions(positions, { quoteFor, zarRate });
+
+    res.json({
+      portfolio: { id: portfolio.id, name: portfolio.name },
+      valuedAt: new Date().toISOString(),
+      usdZarRate: zarRate("USD"),
+      ...valuation
+    });
+
+  } catch (err) {
+    console.error("❌ /api/portfolios valuation error:", err.message);
+    res.status(500).json({ error: "Failed to value portfolio" });
+  }
+});
+
+/* ------------------------------------------------------
+   BATCH QUOTES
+------------------------------------------------------ */
+// Currency a route row is priced in (index levels have none)
+function rowCurrency(instrument, row) {
+  if (row.currency) return row.currency;
+  if (instrument.assetClass === "forex") return instrument.name.split("/")[1];
+  return HOLDING_CURRENCIES[instrument.assetClass] || null;
+}
+
+/**
+ * Quote a mixed list of symbols from the cached route datasets.
+ * Returns { quotes, unknown, unavailable } with quotes in request order.
+ */
+async function getBatchQuotes(inputs) {
+  const instruments = [];
+  const unknown = [];
+
+  inputs.forEach(input => {
+    const resolved = resolveSymbol(input);
+    if (!resolved) unknown.push(input);
+    else if (!instruments.some(i => i.symbol === resolved.symbol)) instruments.push(resolved);
+  });
+
+  const datasets = {};
+  for (const assetClass of new Set(instruments.map(i => i.assetClass))) {
+    datasets[assetClass] = await loadQuoteDataset(assetClass).catch(err => {
+      console.warn(`⚠️ Batch quotes unavailable for ${assetClass}:`, err.message);
+      return [];
+    });
+  }
+
+  const quotes = [];
+  const unavailable = [];
+
+  instruments.forEach(instrument => {
+    const row = datasets[instrument.assetClass].find(r => r.name === instrument.name);
+    if (!row) return unavailable.push(instrument.name);
+
+    quotes.push(formatQuote(instrument, {
+      price: row.rawPrice,
+      change: row.rawChange,
+      currency: rowCurrency(instrument, row),
+      provider: row.provider || null,
+      timestamp: null
+    }));
+  });
+
+  return { quotes, unknown, unavailable };
+}
+
+app.get("/api/quotes", async (req, res) => {
+  try {
+    const requested = parseSymbolList(req.query.symbols);
+
+    if (requested.length === 0) {
+      return res.status(400).json({ error: "Provide symbols, e.g. ?symbols=Anglo American,EUR/ZAR,ETH" });
+    }
+
+    if (requested.length > QUOTES_MAX_SYMBOLS) {
+      return res.status(400).json({ error: `At most ${QUOTES_MAX_SYMBOLS} symbols per request` });
+    }
+
+    res.json(await getBatchQuotes(requested));
+
+  } catch (err) {
+    console.error("❌ /api/quotes error:", err.message);
+    res.status(500).json({ error: "Failed to fetch quotes" });
+  }
+});
+
+/* ------------------------------------------------------
+   WATCHLISTS
+------------------------------------------------------ */
+const watchlists = createStore("watchlists");
+
+// Resolve every entry to its canonical name; returns { symbols } or { error }
+function normalizeWatchlistSymbols(inputs) {
+  if (!Array.isArray(inputs)) return { error: "symbols must be an array" };
+
+  const symbols = [];
+  const unknown = [];
+
+  inputs.forEach(input => {
+    const resolved = resolveSymbol(input);
+    if (!resolved) unknown.push(input);
+    else if (!symbols.includes(resolved.name)) symbols.push(resolved.name);
+  });
+
+  if (unknown.length) return { error: `Unknown symbols: ${unknown.join(", ")}` };
+  if (symbols.length > QUOTES_MAX_SYMBOLS) return { error: `At most ${QUOTES_MAX_SYMBOLS} symbols per watchlist` };
+
+  return { symbols };
+}
+
+app.get("/api/watchlists", (req, res) => {
+  res.json(watchlists.find(ownedBy(req.principal)));
+});
+
+app.post("/api/watchlists", (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  const { symbols, error } = normalizeWatchlistSymbols(req.body.symbols || []);
+  if (error) return res.status(400).json({ error });
+
+  res.status(201).json(watchlists.insert({ name, symbols, ...ownerOf(req.principal) }));
+});
+
+app.get("/api/watchlists/:id", (req, res) => {
+  const watchlist = ownedRecord(watchlists, req.params.id, req.principal);
+  if (!watchlist) return res.status(404).json({ error: "Watchlist not found" });
+
+  res.json(watchlist);
+});
+
+// Rename and/or replace the symbol list (which is how clients reorder)
+app.patch("/api/watchlists/:id", (req, res) => {
+  if (!ownedRecord(watchlists, req.params.id, req.principal)) return res.status(404).json({ error: "Watchlist not found" });
+
+  const patch = {};
+
+  if (req.body?.name !== undefined) {
+    patch.name = String(req.body.name).trim();
+    if (!patch.name) return res.status(400).json({ error: "name cannot be empty" });
+  }
+
+  if (req.body?.symbols !== undefined) {
+    const { symbols, error } = normalizeWatchlistSymbols(req.body.symbols);
+    if (error) return res.status(400).json({ error });
+    patch.symbols = symbols;
+  }
+
+  res.json(watchlists.update(req.params.id, patch));
+});
+
+app.delete("/api/watchlists/:id", (req, res) => {
+  if (!ownedRecord(watchlists, req.params.id, req.principal)) return res.status(404).json({ error: "Watchlist not found" });
+
+  watchlists.remove(req.params.id);
+  res.status(204).end();
+});
+
+app.post("/api/watchlists/:id/symbols", (req, res) => {
+  const watchlist = ownedRecord(watchlists, req.params.id, req.principal);
+  if (!watchlist) return res.status(404).json({ error: "Watchlist not found" });
+
+  const resolved = resolveSymbol(req.body?.symbol || "");
+  if (!resolved) return res.status(400).json({ error: `Unknown symbol "${req.body?.symbol ?? ""}"` });
+
+  if (watchlist.symbols.includes(resolved.name)) return res.json(watchlist);
+
+  if (watchlist.symbols.length >= QUOTES_MAX_SYMBOLS) {
+    return res.status(400).json({ error: `At most ${QUOTES_MAX_SYMBOLS} symbols per watchlist` });
+  }
+
+  const symbols = watchlist.symbols.slice();
+  const position = Number.isInteger(req.body.position)
+    ? Math.max(0, Math.min(req.body.position, symbols.length))
+    : symbols.length;
+  symbols.splice(position, 0, resolved.name);
+
+  res.status(201).json(watchlists.update(watchlist.id, { symbols }));
+});
+
+app.delete("/api/watchlists/:id/symbols/:symbol", (req, res) => {
+  const watchlist = ownedRecord(watchlists, req.params.id, req.principal);
+  if (!watchlist) return res.status(404).json({ error: "Watchlist not found" });
+
+  const resolved = resolveSymbol(req.params.symbol);
+  if (!resolved || !watchlist.symbols.includes(resolved.name)) {
+    return res.status(404).json({ error: "Symbol not in watchlist" });
+  }
+
+  res.json(watchlists.update(watchlist.id, {
+    symbols: watchlist.symbols.filter(s => s !== resolved.name)
+  }));
+});
+
+app.get("/api/watchlists/:id/quotes", async (req, res) => {
+  try {
+    const watchlist = ownedRecord(watchlists, req.params.id, req.principal);
+    if (!watchlist) return res.status(404).json({ error: "Watchlist not found" });
+
+    res.json({ watchlist: { id: watchlist.id, name: watchlist.name }, ...(await getBatchQuotes(watchlist.symbols)) });
+
+  } catch (err) {
+    console.error("❌ /api/watchlists quotes error:", err.message);
+    res.status(500).json({ error: "Failed to fetch watchlist quotes" });
+  }
+});
+
+/* ------------------------------------------------------
+   PRE-WARMING & STATUS
+------------------------------------------------------ */
+const STARTED_AT = new Date().toISOString();
+
+// Scheduled refreshes run whatever the traffic, so they stay off metered providers (TwelveData, FMP)
+const BACKGROUND_LOAD = { metered: false };
+
+// Reload a dataset under its route's cache key; when its markets are closed, hold it until they reopen
+const warmDataset = (dataset) => ({ holdMs }) =>
+  cache.refresh(dataset.key, () => dataset.load(BACKGROUND_LOAD), datasetCacheOptions(dataset, BACKGROUND_LOAD, holdMs));
+
+// The calendar only comes from FMP: two calls every CALENDAR_TTL (8 of its 250 a day)
+const warmEconomicCalendar = () =>
+  Promise.all(CALENDAR_WINDOWS.map(window => loadCalendarWindow(window, { refresh: true })));
+
+const prewarmJobs = createJobScheduler([
+  { name: "indices", intervalMs: GENERIC_TTL, sessions: ["jse", "us"], run: warmDataset(QUOTE_DATASETS.index) },
+  { name: "forex", intervalMs: GENERIC_TTL, sessions: ["forex"], run: warmDataset(QUOTE_DATASETS.forex) },
+  { name: "commodities", intervalMs: GENERIC_TTL, sessions: ["forex"], run: warmDataset(QUOTE_DATASETS.commodity) },
+  { name: "crypto", intervalMs: GENERIC_TTL, run: warmDataset(QUOTE_DATASETS.crypto) },
+  { name: "jse-stocks", intervalMs: GENERIC_TTL, sessions: ["jse"], run: warmDataset(QUOTE_DATASETS["jse-stock"]) },
+  { name: "us-stocks", intervalMs: GENERIC_TTL, sessions: ["us"], run: warmDataset(QUOTE_DATASETS["us-stock"]) },
+  { name: "forex-heatmap", intervalMs: HEATMAP_TTL, sessions: ["forex"], run: warmDataset(HEATMAP_DATASETS.forex) },
+  { name: "crypto-heatmap", intervalMs: HEATMAP_TTL, run: warmDataset(HEATMAP_DATASETS.crypto) },
+  {
+    name: "all-movers",
+    intervalMs: MOVERS_CACHE_TTL,
+    sessions: ["forex", "jse", "us"],
+    run: ({ holdMs }) =>
+      cache.refresh("all-movers", () => fetchAllMovers(BACKGROUND_LOAD), { ttl: holdMs ?? MOVERS_CACHE_TTL })
+  },
+  { name: "economic-calendar", intervalMs: CALENDAR_TTL, run: warmEconomicCalendar }
+]);
+
+app.get("/api/status", (req, res) => {
+  res.json({
+    startedAt: STARTED_AT,
+    uptimeSeconds: Math.round(process.uptime()),
+    prewarm: PREWARM_ENABLED,
+    markets: Object.fromEntries(Object.entries(MARKET_SESSIONS).map(([name, session]) => [name, isSessionOpen(session)])),
+    datasets: prewarmJobs.status()
+  });
+});
+
+/* ------------------------------------------------------
+   AUTH: USERS, SESSIONS & KEYS
+------------------------------------------------------ */
+app.post("/api/auth/register", (req, res) => {
+  try {
+    const { user, error, conflict } = auth.register(req.body);
+    if (error) return res.status(conflict ? 409 : 400).json({ error });
+
+    console.log(`👤 User registered: ${user.email}`);
+    res.status(201).json(user);
+  } catch (err) {
+    console.error("❌ Register error:", err.message);
+    res.status(500).json({ error: "Failed to register user" });
+  }
+});
+
+app.post("/api/auth/login", (req, res) => {
+  try {
+    const session = auth.login(req.body);
+    if (!session) return res.status(401).json({ error: "Invalid email or password" });
+
+    res.json(session);
+  } catch (err) {
+    console.error("❌ Login error:", err.message);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({
+    principal: req.principal,
+    user: req.principal.userId ? auth.getUser(req.principal.userId) : null
+  });
+});
+
+// Self-service keys belong to the signed-in user; unowned keys are managed under /api/admin/keys
+function requireUser(req, res, next) {
+  if (!req.principal?.userId) return res.status(403).json({ error: "A user session or user-owned key is required" });
+  next();
+}
+
+app.get("/api/auth/keys", requireUser, (req, res) => {
+  res.json(auth.listKeys(k => k.userId === req.principal.userId));
+});
+
+app.post("/api/auth/keys", requireUser, (req, res) => {
+  try {
+    const { key, secret, error } = auth.issueKey({ name: req.body?.name, userId: req.principal.userId });
+    if (error) return res.status(400).json({ error });
+
+    res.status(201).json({ ...key, key: secret });
+  } catch (err) {
+    console.error("❌ Issue key error:", err.message);
+    res.status(500).json({ error: "Failed to issue API key" });
+  }
+});
+
+app.delete("/api/auth/keys/:id", requireUser, (req, res) => {
+  const [owned] = auth.listKeys(k => k.id === req.params.id && k.userId === req.principal.userId);
+  if (!owned) return res.status(404).json({ error: "API key not found" });
+
+  auth.revokeKey(owned.id);
+  res.status(204).end();
+});
+
+/* ------------------------------------------------------
+   ADMIN: INSTRUMENTS
+------------------------------------------------------ */
+// Admin routes stay disabled unless ADMIN_API_KEY is set
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) return res.status(503).json({ error: "Admin API is not configured" });
+
+  const token = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const valid = token.length === ADMIN_API_KEY.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(ADMIN_API_KEY));
+
+  if (!valid) return res.status(401).json({ error: "Invalid admin credentials" });
+  next();
+}
+
+app.get("/api/admin/instruments", requireAdmin, (req, res) => {
+  res.json({ ...instrumentRegistry.status(), instruments: instrumentRegistry.all() });
+});
+
+app.post("/api/admin/instruments", requireAdmin, (req, res) => {
+  try {
+    const { instrument, error } = instrumentRegistry.add(req.body);
+    if (error) return res.status(400).json({ error });
+
+    console.log(`🛠️ Instrument added: ${instrument.name} (${instrument.symbol})`);
+    res.status(201).json(instrument);
+  } catch (err) {
+    console.error("❌ Add instrument error:", err.message);
+    res.status(500).json({ error: "Failed to add instrument" });
+  }
+});
+
+app.post("/api/admin/instruments/reload", requireAdmin, (req, res) => {
+  try {
+    const count = instrumentRegistry.load();
+    res.json({ ...instrumentRegistry.status(), count });
+  } catch (err) {
+    console.error("❌ Instrument reload error:", err.message);
+    res.status(400).json({ error: `Instrument file rejected: ${err.message}` });
+  }
+});
+
+app.delete("/api/admin/instruments/:symbol", requireAdmin, (req, res) => {
+  try {
+    const removed = instrumentRegistry.remove(req.params.symbol);
+    if (!removed) return res.status(404).json({ error: `Unknown instrument "${req.params.symbol}"` });
+
+    console.log(`🛠️ Instrument removed: ${removed.name} (${removed.symbol})`);
+    res.status(204).end();
+  } catch (err) {
+    console.error("❌ Remove instrument error:", err.message);
+    res.status(500).json({ error: "Failed to remove instrument" });
+  }
+});
+
+/* ------------------------------------------------------
+   ADMIN: API KEYS & USERS
+------------------------------------------------------ */
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  res.json(auth.listKeys());
+});
+
+app.post("/api/admin/keys", requireAdmin, (req, res) => {
+  try {
+    const { key, secret, error } = auth.issueKey({ name: req.body?.name, userId: req.body?.userId || null });
+    if (error) return res.status(400).json({ error });
+
+    console.log(`🛠️ API key issued: ${key.name} (${key.prefix}…)`);
+    res.status(201).json({ ...key, key: secret });
+  } catch (err) {
+    console.error("❌ Issue key error:", err.message);
+    res.status(500).json({ error: "Failed to issue API key" });
+  }
+});
+
+app.delete("/api/admin/keys/:id", requireAdmin, (req, res) => {
+  const revoked = auth.revokeKey(req.params.id);
+  if (!revoked) return res.status(404).json({ error: "API key not found" });
+
+  console.log(`🛠️ API key revoked: ${revoked.name} (${revoked.prefix}…)`);
+  res.status(204).end();
+});
+
+app.get("/api/admin/users", requireAdmin, (req, res) => {
+  res.json(auth.listUsers());
+});
+
+app.get("/api/admin/usage", requireAdmin, (req, res) => {
+  res.json(rateLimiter.report());
+});
+
+app.get("/api/admin/providers", requireAdmin, (req, res) => {
+  res.json(providers.upstreamStatus());
+});
+
 /* ------------------------------------------------------
    START SERVER
 ------------------------------------------------------ */
 app.listen(PORT, () => {
   console.log(`🚀 Marome Backend running on port ${PORT}`);
   console.log(`📊 Correlation Matrix API: http://localhost:${PORT}/api/correlation-matrix?period=30`);
+
+  alertEngine.start();
+  console.log(`🔔 Alert engine checking every ${ALERT_CHECK_INTERVAL_MS / 1000}s`);
+
+  if (PREWARM_ENABLED) {
+    prewarmJobs.start();
+    console.log("🔥 Pre-warming dashboard datasets in the background");
+  }
 });
\ No newline at end of file
@@ -0,0 +1,346 @@
+const dns = require("dns");
+const net = require("net");
+const { http, sleep } = require("./http");
+
+/* ------------------------------------------------------
+   ALERT ENGINE
+   Rules:
+     { type: "price",  operator: "above" | "below", threshold }
+     { type: "change", operator: "above" | "below" | "abs_above",
+       threshold (percent), timeframe: "1h" | "4h" | "1d" | "1w" }
+   A scheduler evaluates enabled rules, records each trigger
+   and POSTs it to the rule's (or the default) webhook.
+   Per-rule webhooks must be on the configured host allowlist
+   and may never resolve to a loopback, private or link-local
+   address (checked again at connect time, without redirects).
+------------------------------------------------------ */
+const OPERATORS = {
+  price: ["above", "below"],
+  change: ["above", "below", "abs_above"]
+};
+
+const TIMEFRAMES = ["1h", "4h", "1d", "1w"];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const WEBHOOK_ATTEMPTS = 4;
+const WEBHOOK_BASE_DELAY_MS = 1000;
+const BLOCKED_WEBHOOK_CODE = "EWEBHOOKBLOCKED";
+const TRIGGER_HISTORY_LIMIT = 1000;
+
+// Addresses a rule's webhook must never reach (cloud metadata, the host itself, the internal network)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 ("::ffff:10.0.0.1") is judged as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family === 0 || BLOCKED_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function parseHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// URL hostnames keep IPv6 literals in brackets
+const bareHost = (url) => url.hostname.replace(/^\[|\]$/g, "");
+
+const hostAllowed = (hostname, allowedHosts) =>
+  allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+// dns.lookup that refuses private answers, so a rebinding DNS record cannot slip past the check
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+      error.code = BLOCKED_WEBHOOK_CODE;
+      return callback(error);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function conditionMet(rule, value) {
+  switch (rule.operator) {
+    case "above":
+      return value > rule.threshold;
+    case "below":
+      return value < rule.threshold;
+    case "abs_above":
+      return Math.abs(value) > Math.abs(rule.threshold);
+    default:
+      return false;
+  }
+}
+
+function describe(rule, value) {
+  const unit = rule.type === "change" ? "%" : "";
+  const what = rule.type === "change" ? `${rule.timeframe} change` : "price";
+  const op = rule.operator === "abs_above" ? "moved more than" : rule.operator;
+  return `${rule.symbol} ${what} ${op} ${rule.threshold}${unit} (now ${value.toFixed(4)}${unit})`;
+}
+
+/**
+ * webhookHosts: hostnames (and their subdomains) a rule's own webhookUrl may
+ * point at; empty means rules can only use defaultWebhookUrl.
+ */
+function createAlertEngine({
+  rules,
+  triggers,
+  resolveSymbol,
+  getMetrics,
+  supportsTimeframe,
+  defaultWebhookUrl,
+  webhookHosts = [],
+  intervalMs
+}) {
+  let timer = null;
+  let evaluating = false;
+
+  // Why a rule's webhookUrl is not allowed, or null
+  function webhookUrlError(value) {
+    const url = parseHttpUrl(value);
+    if (!url) return "webhookUrl must be an http(s) URL";
+
+    if (!webhookHosts.length) return "Custom webhook URLs are disabled; alerts use the server's default webhook";
+    if (!hostAllowed(url.hostname, webhookHosts)) {
+      return `webhookUrl host must be one of: ${webhookHosts.join(", ")}`;
+    }
+    if (net.isIP(bareHost(url)) && isBlockedAddress(bareHost(url))) {
+      return "webhookUrl must not point at a private, loopback or link-local address";
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a new rule, or a patch merged over `existing`.
+   * Returns { rule } with normalized fields, or { error }.
+   */
+  function validateRule(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    const instrument = resolveSymbol(merged.symbol || "");
+    if (!instrument) return { error: `Unknown symbol "${merged.symbol ?? ""}"` };
+
+    if (!OPERATORS[merged.type]) {
+      return { error: `type must be one of: ${Object.keys(OPERATORS).join(", ")}` };
+    }
+
+    if (!OPERATORS[merged.type].includes(merged.operator)) {
+      return { error: `operator for ${merged.type} rules must be one of: ${OPERATORS[merged.type].join(", ")}` };
+    }
+
+    const threshold = Number(merged.threshold);
+    if (merged.threshold === null || merged.threshold === "" || !Number.isFinite(threshold)) {
+      return { error: "threshold must be a number" };
+    }
+
+    let timeframe = null;
+    if (merged.type === "change") {
+      timeframe = merged.timeframe || "1d";
+      if (!TIMEFRAMES.includes(timeframe)) {
+        return { error: `timeframe must be one of: ${TIMEFRAMES.join(", ")}` };
+      }
+      if (!supportsTimeframe(instrument, timeframe)) {
+        return { error: `${timeframe} change is not tracked for ${instrument.name}` };
+      }
+    }
+
+    const cooldownMinutes = merged.cooldownMinutes === undefined
+      ? DEFAULT_COOLDOWN_MINUTES
+      : Number(merged.cooldownMinutes);
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+      return { error: "cooldownMinutes must be a non-negative number" };
+    }
+
+    if (merged.webhookUrl) {
+      const error = webhookUrlError(merged.webhookUrl);
+      if (error) return { error };
+    }
+
+    return {
+      rule: {
+        name: merged.name ? String(merged.name) : null,
+        symbol: instrument.name,
+        type: merged.type,
+        operator: merged.operator,
+        threshold,
+        timeframe,
+        cooldownMinutes,
+        webhookUrl: merged.webhookUrl || null,
+        enabled: merged.enabled === undefined ? true : Boolean(merged.enabled),
+        lastTriggeredAt: existing.lastTriggeredAt || null
+      }
+    };
+  }
+
+  async function deliver(trigger, rule) {
+    const url = rule.webhookUrl || defaultWebhookUrl;
+
+    if (!url) {
+      triggers.update(trigger.id, { delivery: { status: "skipped", attempts: 0, error: "No webhook configured" } });
+      return;
+    }
+
+    // Rules saved before the allowlist existed (or since removed from it) are re-checked here
+    const rejected = rule.webhookUrl ? webhookUrlError(rule.webhookUrl) : null;
+    if (rejected) {
+      triggers.update(trigger.id, { delivery: { status: "failed", attempts: 0, error: rejected } });
+      return;
+    }
+
+    // The operator's default webhook may be internal; a rule's own URL must stay public
+    const options = rule.webhookUrl ? { maxRedirects: 0, lookup: publicLookup } : {};
+
+    const payload = {
+      alert: {
+        id: rule.id,
+        name: rule.name,
+        symbol: rule.symbol,
+        type: rule.type,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        timeframe: rule.timeframe
+      },
+      value: trigger.value,
+      message: trigger.message,
+      triggeredAt: trigger.triggeredAt
+    };
+
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+      attempts = attempt;
+      try {
+        await http.post(url, payload, options);
+        triggers.update(trigger.id, {
+          delivery: { status: "delivered", attempts: attempt, deliveredAt: new Date().toISOString() }
+        });
+        return;
+      } catch (err) {
+        lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+        console.warn(`⚠️ Alert webhook attempt ${attempt} failed for ${rule.symbol}:`, lastError);
+        // A refused address will not change on retry
+        if (err.code === BLOCKED_WEBHOOK_CODE) break;
+        if (attempt < WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+    }
+
+    triggers.update(trigger.id, {
+      delivery: { status: "failed", attempts, error: lastError }
+    });
+  }
+
+  function pruneHistory() {
+    const all = triggers.all();
+    if (all.length <= TRIGGER_HISTORY_LIMIT) return;
+
+    const stale = new Set(
+      all
+        .sort((a, b) => a.triggeredAt.localeCompare(b.triggeredAt))
+        .slice(0, all.length - TRIGGER_HISTORY_LIMIT)
+        .map(t => t.id)
+    );
+    triggers.removeWhere(t => stale.has(t.id));
+  }
+
+  function fire(rule, value) {
+    const triggeredAt = new Date().toISOString();
+    const message = describe(rule, value);
+
+    const trigger = triggers.insert({
+      alertId: rule.id,
+      symbol: rule.symbol,
+      value,
+      threshold: rule.threshold,
+      message,
+      triggeredAt,
+      delivery: { status: "pending", attempts: 0 }
+    });
+
+    rules.update(rule.id, { lastTriggeredAt: triggeredAt });
+    pruneHistory();
+
+    console.log(`🔔 Alert triggered: ${message}`);
+
+    deliver(trigger, rule).catch(err => {
+      console.error("❌ Alert delivery error:", err.message);
+    });
+  }
+
+  const inCooldown = (rule) =>
+    rule.lastTriggeredAt &&
+    Date.now() - new Date(rule.lastTriggeredAt).getTime() < rule.cooldownMinutes * 60 * 1000;
+
+  async function evaluate() {
+    if (evaluating) return;
+    evaluating = true;
+
+    try {
+      const bySymbol = new Map();
+      rules.find(r => r.enabled).forEach(rule => {
+        if (!bySymbol.has(rule.symbol)) bySymbol.set(rule.symbol, []);
+        bySymbol.get(rule.symbol).push(rule);
+      });
+
+      for (const [symbol, symbolRules] of bySymbol) {
+        const instrument = resolveSymbol(symbol);
+        if (!instrument) continue;
+
+        const timeframes = [...new Set(symbolRules.filter(r => r.type === "change").map(r => r.timeframe))];
+
+        let metrics;
+        try {
+          metrics = await getMetrics(instrument, timeframes);
+        } catch (err) {
+          console.warn(`⚠️ Alert metrics unavailable for ${symbol}:`, err.message);
+          continue;
+        }
+
+        for (const rule of symbolRules) {
+          const value = rule.type === "price" ? metrics.price : metrics.changes[rule.timeframe];
+          if (typeof value !== "number" || !Number.isFinite(value)) continue;
+          if (!conditionMet(rule, value) || inCooldown(rule)) continue;
+
+          fire(rule, value);
+        }
+      }
+    } finally {
+      evaluating = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      evaluate().catch(err => console.error("❌ Alert evaluation error:", err.message));
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { validateRule, evaluate, start, stop };
+}
+
+module.exports = { createAlertEngine, TIMEFRAMES };
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+
+/* ------------------------------------------------------
+   CLIENT AUTHENTICATION
+   Two credential types, both sent as
+   "Authorization: Bearer <credential>":
+     - API keys ("mk_…"), issued once and stored only as a
+       SHA-256 hash plus a short display prefix
+     - user session tokens (HS256 JWTs) from /auth/login
+   Passwords are stored as salted scrypt hashes.
+------------------------------------------------------ */
+const KEY_PREFIX = "mk_";
+const KEY_BYTES = 32;
+const KEY_DISPLAY_LENGTH = 8;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex"), hash);
+}
+
+function signToken(payload, secret) {
+  const head = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${signature}`;
+}
+
+// Payload of a valid, unexpired token, or null
+function verifyToken(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+
+  const [head, body, signature] = parts;
+  const expected = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const header = JSON.parse(Buffer.from(head, "base64url").toString());
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (header.alg !== "HS256") return null;
+    if (typeof payload.exp !== "number" || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+const normalizeEmail = (value) => String(value || "").trim().toLowerCase();
+
+// Key records without the hash, safe to return from the API
+const publicKey = ({ hash, ...key }) => key;
+const publicUser = ({ passwordHash, ...user }) => user;
+
+/**
+ * keys / users: JSON stores (see services/store.js)
+ * jwtSecret: HMAC secret for session tokens
+ */
+function createAuth({ keys, users, jwtSecret, tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS }) {
+  function register({ email, password } = {}) {
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) return { error: "A valid email is required" };
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (users.find(u => u.email === normalized).length) return { error: "Email is already registered", conflict: true };
+
+    const user = users.insert({ email: normalized, passwordHash: hashPassword(password) });
+    return { user: publicUser(user) };
+  }
+
+  // { token, expiresAt, user } or null for bad credentials
+  function login({ email, password } = {}) {
+    const [user] = users.find(u => u.email === normalizeEmail(email));
+    if (!user || typeof password !== "string" || !verifyPassword(password, user.passwordHash)) return null;
+
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + tokenTtlSeconds;
+
+    return {
+      token: signToken({ sub: user.id, iat: now, exp }, jwtSecret),
+      expiresAt: new Date(exp * 1000).toISOString(),
+      user: publicUser(user)
+    };
+  }
+
+  // The plaintext key is only ever returned here
+  function issueKey({ name, userId = null } = {}) {
+    if (typeof name !== "string" || !name.trim()) return { error: "name is required" };
+    if (userId && !users.get(userId)) return { error: `Unknown user "${userId}"` };
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(KEY_BYTES).toString("base64url")}`;
+    const key = keys.insert({
+      name: name.trim(),
+      userId,
+      prefix: secret.slice(0, KEY_PREFIX.length + KEY_DISPLAY_LENGTH),
+      hash: sha256(secret),
+      lastUsedAt: null,
+      revokedAt: null
+    });
+
+    return { key: publicKey(key), secret };
+  }
+
+  const listKeys = (predicate = () => true) => keys.find(predicate).map(publicKey);
+
+  function revokeKey(id) {
+    const key = keys.get(id);
+    if (!key) return null;
+    return publicKey(key.revokedAt ? key : keys.update(id, { revokedAt: new Date().toISOString() }));
+  }
+
+  const listUsers = () => users.all().map(publicUser);
+  const getUser = (id) => {
+    const user = users.get(id);
+    return user ? publicUser(user) : null;
+  };
+
+  function authenticateKey(secret) {
+    const [key] = keys.find(k => k.hash === sha256(secret));
+    if (!key || key.revokedAt) return null;
+
+    // Throttle lastUsedAt writes so hot keys don't rewrite the store on every call
+    const now = Date.now();
+    if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      keys.update(key.id, { lastUsedAt: new Date(now).toISOString() });
+    }
+
+    return { type: "key", id: `key:${key.id}`, keyId: key.id, userId: key.userId, name: key.name };
+  }
+
+  function authenticateToken(token) {
+    const payload = verifyToken(token, jwtSecret);
+    const user = payload && users.get(payload.sub);
+    if (!user) return null;
+
+    return { type: "user", id: `user:${user.id}`, userId: user.id, name: user.email };
+  }
+
+  /**
+   * credential: the bearer value (or api_key query param)
+   * keysOnly: reject session tokens (used for credentials passed in a URL)
+   * Returns a principal { type, id, userId, name, keyId? } or null.
+   */
+  function authenticate(credential, { keysOnly = false } = {}) {
+    if (!credential) return null;
+    if (credential.startsWith(KEY_PREFIX)) return authenticateKey(credential);
+    return keysOnly ? null : authenticateToken(credential);
+  }
+
+  return { register, login, issueKey, listKeys, revokeKey, listUsers, getUser, authenticate };
+}
+
+module.exports = { createAuth };
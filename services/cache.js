@@ -0,0 +1,113 @@
+/* ------------------------------------------------------
+   KEYED CACHE
+   - per-key TTL (a number, or a function of the loaded value)
+   - single-flight: concurrent misses share one loader call
+   - stale-while-revalidate: expired values are served for
+     `staleTtl` more ms while a background refresh runs
+   - bounded: past `maxEntries`, dead entries are dropped
+     first, then the least recently used
+------------------------------------------------------ */
+const DEFAULT_MAX_ENTRIES = 2000;
+
+function createCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Map order doubles as recency: a hit moves the key to the end
+  const entries = new Map();
+  const inflight = new Map();
+
+  const isFresh = (entry) => Date.now() - entry.time < entry.ttl;
+  const isServable = (entry) => Date.now() - entry.time < entry.ttl + entry.staleTtl;
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  function evict() {
+    if (entries.size <= maxEntries) return;
+
+    for (const [key, entry] of entries) {
+      if (!isServable(entry)) entries.delete(key);
+    }
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || !isFresh(entry)) return undefined;
+
+    touch(key, entry);
+    return entry.value;
+  }
+
+  // staleTtl defaults to the resolved ttl
+  function set(key, value, ttl, staleTtl) {
+    const resolvedTtl = typeof ttl === "function" ? ttl(value) : ttl;
+    touch(key, { value, time: Date.now(), ttl: resolvedTtl, staleTtl: staleTtl ?? resolvedTtl });
+    evict();
+    return value;
+  }
+
+  function del(key) {
+    entries.delete(key);
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  // Run the loader once per key, no matter how many callers are waiting
+  function load(key, loader, ttl, staleTtl) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => set(key, value, ttl, staleTtl))
+      .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Return the cached value for `key`, loading it with `loader` on a miss.
+   * Options: { ttl, staleTtl } in ms; staleTtl defaults to the resolved ttl.
+   */
+  async function wrap(key, loader, { ttl, staleTtl } = {}) {
+    const entry = entries.get(key);
+    if (entry) touch(key, entry);
+
+    if (entry && isFresh(entry)) return entry.value;
+
+    if (entry && isServable(entry)) {
+      load(key, loader, ttl, staleTtl).catch(err => {
+        console.warn(`⚠️ Background refresh failed for ${key}:`, err.message);
+      });
+      return entry.value;
+    }
+
+    return load(key, loader, ttl, staleTtl);
+  }
+
+  // Reload `key` now whatever its age (still single-flight); used by the pre-warming jobs
+  const refresh = (key, loader, { ttl, staleTtl } = {}) => load(key, loader, ttl, staleTtl);
+
+  function stats() {
+    const now = Date.now();
+    return [...entries.entries()].map(([key, entry]) => ({
+      key,
+      ageMs: now - entry.time,
+      ttlMs: entry.ttl,
+      fresh: isFresh(entry),
+      refreshing: inflight.has(key)
+    }));
+  }
+
+  return { get, set, delete: del, clear, wrap, refresh, stats };
+}
+
+const cache = createCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES });
+
+module.exports = { createCache, cache };
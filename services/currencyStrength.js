@@ -0,0 +1,58 @@
+/* ------------------------------------------------------
+   CURRENCY STRENGTH
+   A currency's score is the average % move it made across
+   every tracked pair it belongs to: +pct as the base
+   currency, -pct as the quote currency.
+------------------------------------------------------ */
+const STRENGTH_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "AUD", "CHF", "ZAR"];
+const STRENGTH_THRESHOLD = 0.3;
+
+/**
+ * pairChanges: { "EUR/USD": 0.42, ... } (percent; null/undefined entries are skipped)
+ * Returns { USD: score | null, ... }
+ */
+function scoreCurrencies(pairChanges) {
+  const totals = {};
+  const counts = {};
+  STRENGTH_CURRENCIES.forEach(c => {
+    totals[c] = 0;
+    counts[c] = 0;
+  });
+
+  Object.entries(pairChanges).forEach(([pair, pct]) => {
+    if (typeof pct !== "number" || !Number.isFinite(pct)) return;
+
+    const [base, quote] = pair.split("/");
+    if (base in totals) {
+      totals[base] += pct;
+      counts[base]++;
+    }
+    if (quote in totals) {
+      totals[quote] -= pct;
+      counts[quote]++;
+    }
+  });
+
+  const scores = {};
+  STRENGTH_CURRENCIES.forEach(c => {
+    scores[c] = counts[c] ? totals[c] / counts[c] : null;
+  });
+  return scores;
+}
+
+// Strongest first; currencies without a score are left out
+function rankScores(scores) {
+  return Object.entries(scores)
+    .filter(([, score]) => score !== null)
+    .sort((a, b) => b[1] - a[1])
+    .map(([currency, score], i) => ({ currency, score: parseFloat(score.toFixed(4)), rank: i + 1 }));
+}
+
+function strengthLabel(score) {
+  if (score === null) return "Neutral";
+  if (score >= STRENGTH_THRESHOLD) return "Strong";
+  if (score <= -STRENGTH_THRESHOLD) return "Weak";
+  return "Neutral";
+}
+
+module.exports = { STRENGTH_CURRENCIES, scoreCurrencies, rankScores, strengthLabel };
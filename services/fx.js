@@ -0,0 +1,72 @@
+/* ------------------------------------------------------
+   FX RATES
+   Rates come from live pair quotes ({ pair: "USD/ZAR",
+   rawPrice, timestamp }). Each pair is an edge both ways
+   (the inverse uses 1 / price); a conversion takes the
+   path with the fewest legs, so crosses such as EUR→GBP
+   are triangulated through whatever pairs we track.
+------------------------------------------------------ */
+
+// Adjacency list: currency → [{ to, rate, pair, inverted, timestamp }]
+function buildRateGraph(rows) {
+  const graph = new Map();
+  const link = (from, edge) => {
+    if (!graph.has(from)) graph.set(from, []);
+    graph.get(from).push(edge);
+  };
+
+  rows.forEach(row => {
+    const [base, quote] = String(row.pair || "").split("/");
+    const price = Number(row.rawPrice);
+    if (!base || !quote || !Number.isFinite(price) || price <= 0) return;
+
+    const timestamp = row.timestamp || null;
+    link(base, { to: quote, rate: price, pair: row.pair, inverted: false, timestamp });
+    link(quote, { to: base, rate: 1 / price, pair: row.pair, inverted: true, timestamp });
+  });
+
+  return graph;
+}
+
+/**
+ * Units of `to` per unit of `from`, via the fewest legs.
+ * Returns { rate, path, legs, asOf } or null; asOf is the oldest leg's quote time.
+ */
+function findRate(graph, from, to) {
+  if (from === to) return { rate: 1, path: [from], legs: [], asOf: null };
+  if (!graph.has(from)) return null;
+
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length) {
+    const current = queue.shift();
+    if (current === to) break;
+
+    for (const edge of graph.get(current) || []) {
+      if (previous.has(edge.to)) continue;
+      previous.set(edge.to, { from: current, edge });
+      queue.push(edge.to);
+    }
+  }
+
+  if (!previous.has(to)) return null;
+
+  const legs = [];
+  for (let step = previous.get(to); step; step = previous.get(step.from)) {
+    legs.unshift(step.edge);
+  }
+
+  // The oldest leg dates the rate; a leg without a quote time leaves it unknown
+  const timestamps = legs.map(l => l.timestamp);
+  const asOf = timestamps.every(Boolean) ? timestamps.sort()[0] || null : null;
+
+  return {
+    rate: legs.reduce((product, leg) => product * leg.rate, 1),
+    path: [from, ...legs.map(l => l.to)],
+    legs: legs.map(({ pair, rate, inverted, timestamp }) => ({ pair, rate, inverted, timestamp })),
+    asOf
+  };
+}
+
+module.exports = { buildRateGraph, findRate };
@@ -0,0 +1,28 @@
+const axios = require("axios");
+
+/* ------------------------------------------------------
+   SHARED HTTP CLIENT
+------------------------------------------------------ */
+const http = axios.create({
+  timeout: 10000,
+  headers: { "User-Agent": "MaromeBot/1.0" }
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Route requests through an upstream scheduler. providerFor(hostname) names
+ * the provider a request belongs to; requests to other hosts go straight out.
+ * A request may set `upstreamCost` (default 1) when the provider bills it
+ * as several calls.
+ */
+function useScheduler(scheduler, providerFor) {
+  const send = axios.getAdapter(http.defaults.adapter);
+
+  http.defaults.adapter = (config) => {
+    const provider = providerFor(new URL(config.url, config.baseURL).hostname);
+    return provider ? scheduler.run(provider, () => send(config), config.upstreamCost || 1) : send(config);
+  };
+}
+
+module.exports = { http, sleep, useScheduler };
@@ -0,0 +1,186 @@
+/* ------------------------------------------------------
+   TECHNICAL INDICATORS
+   Every function takes values ordered oldest → newest and
+   returns an array of the same length, with null wherever
+   the indicator is still warming up.
+------------------------------------------------------ */
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values; nulls in the input are skipped
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const seed = [];
+  let prev = null;
+
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v === null) continue;
+
+    if (prev === null) {
+      seed.push(v);
+      if (seed.length === period) {
+        prev = seed.reduce((a, b) => a + b, 0) / period;
+        out[i] = prev;
+      }
+      continue;
+    }
+
+    prev = v * k + prev * (1 - k);
+    out[i] = prev;
+  }
+
+  return out;
+}
+
+// Wilder's RSI
+function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const diff = values[i] - values[i - 1];
+    if (diff >= 0) gain += diff;
+    else loss -= diff;
+  }
+
+  let avgGain = gain / period;
+  let avgLoss = loss / period;
+  const value = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+
+  out[period] = value();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    out[i] = value();
+  }
+
+  return out;
+}
+
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) =>
+    fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]
+  );
+  const signal = ema(line, signalPeriod);
+
+  return line.map((m, i) => (
+    m === null || signal[i] === null
+      ? null
+      : { macd: m, signal: signal[i], histogram: m - signal[i] }
+  ));
+}
+
+function bollinger(values, period, multiplier = 2) {
+  const middle = sma(values, period);
+
+  return middle.map((mid, i) => {
+    if (mid === null) return null;
+
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((acc, v) => acc + (v - mid) ** 2, 0) / period;
+    const band = multiplier * Math.sqrt(variance);
+
+    return { middle: mid, upper: mid + band, lower: mid - band };
+  });
+}
+
+// Wilder's ATR over { high, low, close } candles; missing highs/lows fall back to the close
+function atr(candles, period) {
+  const out = new Array(candles.length).fill(null);
+  const trueRanges = candles.map((c, i) => {
+    const high = c.high ?? c.close;
+    const low = c.low ?? c.close;
+    if (i === 0) return high - low;
+
+    const prevClose = candles[i - 1].close;
+    return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  });
+
+  if (trueRanges.length < period) return out;
+
+  let prev = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = prev;
+
+  for (let i = period; i < trueRanges.length; i++) {
+    prev = (prev * (period - 1) + trueRanges[i]) / period;
+    out[i] = prev;
+  }
+
+  return out;
+}
+
+/* ------------------------------------------------------
+   SPEC PARSING ("rsi14", "sma50", "macd", "bb20", "atr14")
+------------------------------------------------------ */
+const closesOf = (candles) => candles.map(c => c.close);
+
+const INDICATORS = {
+  sma: { defaultPeriod: 20, compute: (candles, p) => sma(closesOf(candles), p) },
+  ema: { defaultPeriod: 20, compute: (candles, p) => ema(closesOf(candles), p) },
+  rsi: { defaultPeriod: 14, compute: (candles, p) => rsi(closesOf(candles), p) },
+  macd: { defaultPeriod: null, compute: (candles) => macd(closesOf(candles)) },
+  bb: { defaultPeriod: 20, compute: (candles, p) => bollinger(closesOf(candles), p) },
+  atr: { defaultPeriod: 14, compute: (candles, p) => atr(candles, p) }
+};
+
+const ALIASES = { bollinger: "bb" };
+const MAX_PERIOD = 500;
+
+// Returns { key, name, period } or { error }
+function parseIndicator(spec) {
+  const match = /^([a-z]+)(\d+)?$/.exec(String(spec).trim().toLowerCase());
+  if (!match) return { error: `Invalid indicator "${spec}"` };
+
+  const name = ALIASES[match[1]] || match[1];
+  const definition = INDICATORS[name];
+  if (!definition) {
+    return { error: `Unknown indicator "${spec}". Use: ${Object.keys(INDICATORS).join(", ")}` };
+  }
+
+  if (definition.defaultPeriod === null) {
+    if (match[2]) return { error: `${name} does not take a period` };
+    return { key: name, name, period: null };
+  }
+
+  const period = match[2] ? parseInt(match[2], 10) : definition.defaultPeriod;
+  if (period < 2 || period > MAX_PERIOD) {
+    return { error: `Period for ${name} must be between 2 and ${MAX_PERIOD}` };
+  }
+
+  return { key: `${name}${period}`, name, period };
+}
+
+function computeIndicator({ name, period }, candles) {
+  return INDICATORS[name].compute(candles, period);
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  parseIndicator,
+  computeIndicator
+};
@@ -0,0 +1,344 @@
+const fs = require("fs");
+const path = require("path");
+
+/* ------------------------------------------------------
+   INSTRUMENT REGISTRY
+   The tracked universe lives in a JSON file (an array of
+   instruments). Each instrument lists the groups (route
+   lists) it appears in, in file order. The file is watched
+   and reloaded on change; an invalid file is rejected and
+   the previous universe stays live.
+   Instruments added or removed through the admin API are
+   kept in a separate overlay file ({ added: [instrument],
+   removed: [symbol] }, under data/) and applied on top of
+   the shipped file, which is never rewritten.
+------------------------------------------------------ */
+const GROUPS = [
+  "indices",
+  "forex",
+  "commodities",
+  "crypto",
+  "crypto-movers",
+  "heatmap",
+  "correlation",
+  "jse-stocks",
+  "jse-top40",
+  "us-stocks",
+  "reaction"
+];
+
+const WATCH_INTERVAL_MS = 2000;
+
+// Everyday names for currencies, so "rand" or "yen" find the pairs that trade them
+const CURRENCY_NAMES = {
+  USD: ["dollar", "greenback"],
+  EUR: ["euro"],
+  GBP: ["pound", "sterling", "cable"],
+  JPY: ["yen"],
+  ZAR: ["rand"],
+  AUD: ["aussie"],
+  CHF: ["franc", "swissy"],
+  CAD: ["loonie"],
+  NZD: ["kiwi"]
+};
+
+// Search scores by match quality; ties keep file order
+const SEARCH_SCORES = { exact: 100, prefix: 80, wordPrefix: 70, keyword: 60, substring: 50, fuzzy: 30 };
+
+const normalizeKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+// Every name a user may type for an instrument
+const instrumentKeys = (instrument) => [
+  instrument.name,
+  instrument.symbol,
+  ...(instrument.aliases || []),
+  ...Object.values(instrument.labels || {})
+].map(normalizeKey);
+
+/**
+ * Validate and normalize one instrument. `others` are the rest of the
+ * universe, used to reject names or symbols that would collide.
+ * Returns { instrument } or { error }.
+ */
+function validateInstrument(input, others, { assetClasses, providerNames }) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "Instrument must be an object" };
+
+  const { name, symbol, assetClass } = input;
+  if (!isText(name)) return { error: "name is required" };
+  if (!isText(symbol)) return { error: `${name}: symbol is required` };
+  if (!assetClasses.includes(assetClass)) {
+    return { error: `${name}: assetClass must be one of: ${assetClasses.join(", ")}` };
+  }
+
+  if (input.currency !== undefined && input.currency !== null && !/^[A-Z]{3}$/.test(input.currency)) {
+    return { error: `${name}: currency must be a 3-letter ISO code` };
+  }
+
+  for (const field of ["exchange", "sector", "heatmapSymbol"]) {
+    if (input[field] !== undefined && input[field] !== null && !isText(input[field])) {
+      return { error: `${name}: ${field} must be a non-empty string` };
+    }
+  }
+
+  const groups = input.groups ?? [];
+  if (!Array.isArray(groups) || groups.some(g => !GROUPS.includes(g))) {
+    return { error: `${name}: groups must be a list of: ${GROUPS.join(", ")}` };
+  }
+
+  const aliases = input.aliases ?? [];
+  if (!Array.isArray(aliases) || !aliases.every(isText)) {
+    return { error: `${name}: aliases must be a list of strings` };
+  }
+
+  const providerSymbols = input.providerSymbols ?? {};
+  if (typeof providerSymbols !== "object" || Array.isArray(providerSymbols) ||
+      Object.entries(providerSymbols).some(([p, s]) => !providerNames.includes(p) || !isText(s))) {
+    return { error: `${name}: providerSymbols must map one of ${providerNames.join(", ")} to a symbol` };
+  }
+
+  const labels = input.labels ?? {};
+  if (typeof labels !== "object" || Array.isArray(labels) ||
+      Object.entries(labels).some(([g, l]) => !groups.includes(g) || !isText(l))) {
+    return { error: `${name}: labels must map one of the instrument's groups to a display name` };
+  }
+
+  const instrument = {
+    name: name.trim(),
+    symbol: symbol.trim(),
+    assetClass,
+    currency: input.currency ?? null,
+    exchange: input.exchange ?? null,
+    sector: input.sector ?? null,
+    groups: [...new Set(groups)],
+    ...(aliases.length ? { aliases } : {}),
+    ...(Object.keys(providerSymbols).length ? { providerSymbols } : {}),
+    ...(input.heatmapSymbol ? { heatmapSymbol: input.heatmapSymbol } : {}),
+    ...(Object.keys(labels).length ? { labels } : {})
+  };
+
+  const taken = new Set(others.flatMap(instrumentKeys));
+  const clash = instrumentKeys(instrument).find(k => taken.has(k));
+  if (clash) return { error: `${name}: name, symbol or alias "${clash}" is already used by another instrument` };
+
+  return { instrument };
+}
+
+// Edit distance where swapping two adjacent letters counts as one typo
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+// Best match of `query` against one instrument: { score, matched } or null
+function scoreInstrument(instrument, query) {
+  const q = normalizeKey(query);
+  if (!q) return null;
+
+  const ticker = instrument.symbol.replace(/\.(US|JO)$/, "").replace(/(=X|=F|-USD)$/, "");
+  const terms = [instrument.name, instrument.symbol, ticker, ...(instrument.aliases || [])];
+  const words = terms.flatMap(t => t.toLowerCase().split(/[^a-z0-9]+/)).filter(Boolean);
+
+  const keywords = instrument.assetClass === "forex"
+    ? instrument.name.split("/").flatMap(c => CURRENCY_NAMES[c] || [])
+    : [];
+
+  const candidates = [];
+  terms.forEach(term => {
+    const key = normalizeKey(term);
+    if (key === q) candidates.push({ score: SEARCH_SCORES.exact, matched: term });
+    else if (key.startsWith(q)) candidates.push({ score: SEARCH_SCORES.prefix, matched: term });
+    else if (q.length >= 3 && key.includes(q)) candidates.push({ score: SEARCH_SCORES.substring, matched: term });
+  });
+  words.forEach(word => {
+    if (word.startsWith(q)) candidates.push({ score: SEARCH_SCORES.wordPrefix, matched: word });
+  });
+  keywords.forEach(word => {
+    if (word.startsWith(q)) candidates.push({ score: SEARCH_SCORES.keyword, matched: word });
+  });
+
+  // Allow one typo from four characters, two from eight
+  const maxTypos = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  if (maxTypos && !candidates.length) {
+    [...words, ...keywords].forEach(word => {
+      if (editDistance(q, word.slice(0, q.length + maxTypos)) <= maxTypos ||
+          editDistance(q, word) <= maxTypos) {
+        candidates.push({ score: SEARCH_SCORES.fuzzy, matched: word });
+      }
+    });
+  }
+
+  return candidates.sort((a, b) => b.score - a.score)[0] || null;
+}
+
+function validateUniverse(list, options) {
+  if (!Array.isArray(list)) return { error: "Instrument file must contain an array" };
+
+  const instruments = [];
+  for (const [index, input] of list.entries()) {
+    const { instrument, error } = validateInstrument(input, instruments, options);
+    if (error) return { error: `Entry ${index}: ${error}` };
+    instruments.push(instrument);
+  }
+
+  return { instruments };
+}
+
+function readOverlay(file) {
+  if (!file) return { added: [], removed: [] };
+
+  try {
+    const { added = [], removed = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { added: Array.isArray(added) ? added : [], removed: Array.isArray(removed) ? removed : [] };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`⚠️ Could not read instrument overlay ${path.basename(file)}:`, err.message);
+    return { added: [], removed: [] };
+  }
+}
+
+// Shipped universe minus removed symbols, plus runtime additions that still validate
+function applyOverlay(base, overlay, options) {
+  const removed = new Set(overlay.removed);
+  const instruments = base.filter(i => !removed.has(i.symbol));
+
+  overlay.added.forEach(input => {
+    const { instrument, error } = validateInstrument(input, instruments, options);
+    if (error) return console.warn(`⚠️ Skipping runtime instrument: ${error}`);
+    instruments.push(instrument);
+  });
+
+  return instruments;
+}
+
+/**
+ * file: path to the shipped instrument JSON file
+ * overlayFile: where runtime additions and removals are kept (optional)
+ * assetClasses / providerNames: allowed values, from the provider layer
+ */
+function createInstrumentRegistry({ file, overlayFile = null, assetClasses, providerNames }) {
+  const options = { assetClasses, providerNames };
+  const listeners = [];
+  let instruments = [];
+  let overlay = { added: [], removed: [] };
+  let loadedAt = null;
+
+  function load() {
+    const { instruments: base, error } = validateUniverse(JSON.parse(fs.readFileSync(file, "utf8")), options);
+    if (error) throw new Error(error);
+
+    overlay = readOverlay(overlayFile);
+    instruments = applyOverlay(base, overlay, options);
+    loadedAt = new Date().toISOString();
+    listeners.forEach(fn => fn(instruments));
+
+    const changes = overlay.added.length || overlay.removed.length
+      ? ` (+${overlay.added.length}/-${overlay.removed.length} at runtime)`
+      : "";
+    console.log(`✅ Loaded ${instruments.length} instruments from ${path.basename(file)}${changes}`);
+    return instruments.length;
+  }
+
+  function persist(next) {
+    fs.mkdirSync(path.dirname(overlayFile), { recursive: true });
+    const tmp = `${overlayFile}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(next, null, 2)}\n`);
+    fs.renameSync(tmp, overlayFile);
+    load();
+  }
+
+  // Reload on edit; a bad edit is logged and ignored
+  function watch() {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      try {
+        load();
+      } catch (err) {
+        console.error(`❌ Instrument reload rejected, keeping previous universe: ${err.message}`);
+      }
+    }).unref();
+  }
+
+  const all = () => instruments.slice();
+
+  // Instruments in a route list, with any per-group display name applied
+  const group = (name) =>
+    instruments
+      .filter(i => i.groups.includes(name))
+      .map(i => (i.labels?.[name] ? { ...i, name: i.labels[name] } : i));
+
+  // { displayName: symbol } for a group, in file order
+  const symbols = (name) => Object.fromEntries(group(name).map(i => [i.name, i.symbol]));
+
+  const names = (name) => group(name).map(i => i.name);
+
+  function resolve(input) {
+    const key = normalizeKey(input);
+    if (!key) return null;
+    return instruments.find(i => instrumentKeys(i).includes(key)) || null;
+  }
+
+  // Ranked fuzzy matches across the whole universe
+  function search(query, limit) {
+    return instruments
+      .map(instrument => ({ instrument, match: scoreInstrument(instrument, query) }))
+      .filter(r => r.match)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, limit)
+      .map(({ instrument, match }) => ({ instrument, ...match }));
+  }
+
+  function add(input) {
+    if (!overlayFile) return { error: "Runtime instrument changes are disabled (no overlay file)" };
+
+    const { instrument, error } = validateInstrument(input, instruments, options);
+    if (error) return { error };
+
+    persist({ ...overlay, added: [...overlay.added, instrument] });
+    return { instrument: resolve(instrument.symbol) };
+  }
+
+  // A runtime addition is dropped from the overlay; a shipped instrument is hidden by symbol
+  function remove(input) {
+    if (!overlayFile) return null;
+
+    const instrument = resolve(input);
+    if (!instrument) return null;
+
+    const added = overlay.added.filter(i => i.symbol !== instrument.symbol);
+    const removed = added.length === overlay.added.length
+      ? [...new Set([...overlay.removed, instrument.symbol])]
+      : overlay.removed;
+
+    persist({ added, removed });
+    return instrument;
+  }
+
+  const onChange = (fn) => listeners.push(fn);
+
+  const status = () => ({
+    file,
+    overlayFile,
+    loadedAt,
+    count: instruments.length,
+    added: overlay.added.length,
+    removed: overlay.removed.length
+  });
+
+  return { load, watch, all, group, symbols, names, resolve, search, add, remove, onChange, status };
+}
+
+module.exports = { GROUPS, createInstrumentRegistry, validateInstrument };
@@ -0,0 +1,115 @@
+const { MARKET_SESSIONS, isSessionOpen, nextSessionOpen } = require("./marketHours");
+
+/* ------------------------------------------------------
+   PRE-WARMING JOBS
+   Each job reloads one cached dataset every `intervalMs`
+   while any of its market sessions is open (no sessions =
+   always). When its markets close a job runs once more and
+   is told how long to hold the result (`holdMs`, until the
+   next open), then sleeps until the market reopens.
+------------------------------------------------------ */
+const START_STAGGER_MS = 2000;
+
+/**
+ * jobs: [{ name, intervalMs, sessions?: ["jse", "us", "forex"], run({ holdMs }) }]
+ * run() returns a promise; holdMs is null while the market is open.
+ */
+function createJobScheduler(jobs) {
+  const states = jobs.map(job => ({
+    job,
+    timer: null,
+    running: false,
+    closedRunDone: false,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    durationMs: null,
+    lastError: null,
+    runs: 0,
+    failures: 0,
+    nextRunAt: null
+  }));
+
+  const sessionsOf = (job) => (job.sessions || []).map(name => MARKET_SESSIONS[name]);
+
+  const marketOpen = (job, time) => {
+    const sessions = sessionsOf(job);
+    return !sessions.length || sessions.some(s => isSessionOpen(s, time));
+  };
+
+  const nextOpen = (job, time) =>
+    Math.min(...sessionsOf(job).map(s => nextSessionOpen(s, time) ?? Infinity));
+
+  function schedule(state, at) {
+    clearTimeout(state.timer);
+    state.nextRunAt = Number.isFinite(at) ? at : null;
+    if (state.nextRunAt === null) return;
+
+    state.timer = setTimeout(() => tick(state), Math.max(0, at - Date.now()));
+    state.timer.unref();
+  }
+
+  async function tick(state) {
+    const { job } = state;
+    const now = Date.now();
+    const open = marketOpen(job, now);
+
+    // Closed and already holding the closing snapshot: wait for the open
+    if (!open && state.closedRunDone) return schedule(state, nextOpen(job, now));
+
+    const reopensAt = open ? null : nextOpen(job, now);
+    state.running = true;
+    state.lastRunAt = new Date(now).toISOString();
+
+    try {
+      await job.run({ holdMs: reopensAt === null ? null : reopensAt - now });
+      state.lastSuccessAt = new Date().toISOString();
+      state.lastError = null;
+    } catch (err) {
+      state.failures++;
+      state.lastError = err.message;
+      console.warn(`⚠️ Pre-warm job ${job.name} failed:`, err.message);
+    } finally {
+      state.running = false;
+      state.runs++;
+      state.durationMs = Date.now() - now;
+    }
+
+    state.closedRunDone = !open;
+    schedule(state, open ? now + job.intervalMs : reopensAt);
+  }
+
+  function start() {
+    states.forEach((state, i) => schedule(state, Date.now() + i * START_STAGGER_MS));
+  }
+
+  function stop() {
+    states.forEach(state => {
+      clearTimeout(state.timer);
+      state.timer = null;
+      state.nextRunAt = null;
+    });
+  }
+
+  function status() {
+    const now = Date.now();
+
+    return states.map(state => ({
+      name: state.job.name,
+      intervalMs: state.job.intervalMs,
+      sessions: state.job.sessions || [],
+      marketOpen: marketOpen(state.job, now),
+      running: state.running,
+      lastRunAt: state.lastRunAt,
+      lastSuccessAt: state.lastSuccessAt,
+      durationMs: state.durationMs,
+      lastError: state.lastError,
+      runs: state.runs,
+      failures: state.failures,
+      nextRunAt: state.nextRunAt ? new Date(state.nextRunAt).toISOString() : null
+    }));
+  }
+
+  return { start, stop, status };
+}
+
+module.exports = { createJobScheduler };
@@ -0,0 +1,86 @@
+/* ------------------------------------------------------
+   MARKET HOURS
+   Weekly trading windows in each exchange's own time zone
+   (so DST is handled by Intl). Days are 0 = Sunday … 6 =
+   Saturday; "24:00" closes at midnight. A session counts as
+   open for `graceMinutes` after the close so the closing
+   prints are picked up. Public holidays are not modelled.
+------------------------------------------------------ */
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const SEARCH_STEP_MS = 5 * 60 * 1000;
+const SEARCH_HORIZON_MS = 8 * 24 * 60 * 60 * 1000;
+
+const MARKET_SESSIONS = {
+  jse: {
+    timeZone: "Africa/Johannesburg",
+    windows: [{ days: WEEKDAYS, open: "09:00", close: "17:00" }],
+    graceMinutes: 30
+  },
+  us: {
+    timeZone: "America/New_York",
+    windows: [{ days: WEEKDAYS, open: "09:30", close: "16:00" }],
+    graceMinutes: 30
+  },
+  // Spot FX and metals futures trade from Sunday 17:00 to Friday 17:00 New York time
+  forex: {
+    timeZone: "America/New_York",
+    windows: [
+      { days: [0], open: "17:00", close: "24:00" },
+      { days: [1, 2, 3, 4], open: "00:00", close: "24:00" },
+      { days: [5], open: "00:00", close: "17:00" }
+    ],
+    graceMinutes: 30
+  }
+};
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+// Weekday and minute of the day in the session's time zone
+function localTime(timeZone, time) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time)).map(p => [p.type, p.value]));
+  return { day: DAY_INDEX[parts.weekday], minute: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function isSessionOpen(session, time = Date.now()) {
+  const grace = session.graceMinutes || 0;
+
+  // The grace period can run past midnight, so yesterday's windows are checked too
+  return [0, 1].some(daysBack => {
+    const { day, minute } = localTime(session.timeZone, time - daysBack * 86400000);
+    const offset = daysBack * 1440;
+
+    return session.windows.some(w =>
+      w.days.includes(day) &&
+      minute + offset >= minutesOf(w.open) &&
+      minute + offset < minutesOf(w.close) + grace
+    );
+  });
+}
+
+// Earliest time at or after `time` when the session is open (to the nearest step), or null
+function nextSessionOpen(session, time = Date.now()) {
+  const start = Math.ceil(time / SEARCH_STEP_MS) * SEARCH_STEP_MS;
+
+  for (let t = start; t - time <= SEARCH_HORIZON_MS; t += SEARCH_STEP_MS) {
+    if (isSessionOpen(session, t)) return t;
+  }
+  return null;
+}
+
+module.exports = { MARKET_SESSIONS, isSessionOpen, nextSessionOpen };
@@ -0,0 +1,96 @@
+/* ------------------------------------------------------
+   NEWS TAGGING & DEDUP
+   Articles are tagged with every tracked asset whose name,
+   alias or ticker appears in the headline, summary or
+   Finnhub's `related` field. Near-identical headlines
+   (token overlap at or above DUPLICATE_SIMILARITY) are
+   collapsed to the most recent one.
+------------------------------------------------------ */
+const DUPLICATE_SIMILARITY = 0.8;
+const MIN_TICKER_LENGTH = 3;
+
+// Extra names the press uses for tracked assets
+const ASSET_ALIASES = {
+  "S&P 500": ["S&P", "SPX"],
+  "NASDAQ 100": ["Nasdaq"],
+  "Dow Jones": ["Dow"],
+  "JSE Top 40": ["JSE", "Top 40"],
+  "Crude Oil": ["oil", "WTI", "Brent"],
+  "USD/ZAR": ["rand"],
+  "Google": ["Alphabet"],
+  "Meta": ["Facebook"]
+};
+
+const STOPWORDS = new Set(["a", "an", "the", "and", "or", "of", "to", "in", "on", "for", "as", "at", "by", "with", "is", "are"]);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Word-bounded match that still works for terms like "S&P" or "EUR/USD"
+const termPattern = (term, flags) => new RegExp(`(^|[^A-Za-z0-9])${escapeRegex(term)}(?![A-Za-z0-9])`, flags);
+
+/**
+ * assets: [{ name, symbol, assetClass, tickers? }]
+ * Names and aliases match case-insensitively; tickers must appear in upper case.
+ */
+function buildAssetMatchers(assets) {
+  return assets.map(asset => {
+    const words = [asset.name, ...(ASSET_ALIASES[asset.name] || [])];
+    const tickers = (asset.tickers || []).filter(t => t.length >= MIN_TICKER_LENGTH);
+
+    return {
+      asset: { name: asset.name, symbol: asset.symbol, assetClass: asset.assetClass },
+      patterns: [
+        ...words.map(w => termPattern(w, "i")),
+        ...tickers.map(t => termPattern(t, ""))
+      ],
+      tickers: new Set((asset.tickers || []).map(t => t.toUpperCase()))
+    };
+  });
+}
+
+function tagArticle(article, matchers) {
+  const text = `${article.headline || ""} ${article.summary || ""}`;
+  const related = String(article.related || "")
+    .split(",")
+    .map(t => t.trim().toUpperCase())
+    .filter(Boolean);
+
+  const assets = matchers
+    .filter(m => related.some(t => m.tickers.has(t)) || m.patterns.some(p => p.test(text)))
+    .map(m => m.asset);
+
+  return { ...article, assets };
+}
+
+const headlineTokens = (headline) =>
+  new Set(
+    String(headline || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, " ")
+      .split(/\s+/)
+      .filter(w => w && !STOPWORDS.has(w))
+  );
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(w => {
+    if (b.has(w)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Articles must be sorted newest first so the freshest copy survives
+function dedupeArticles(articles) {
+  const kept = [];
+
+  for (const article of articles) {
+    const tokens = headlineTokens(article.headline);
+    if (kept.some(k => similarity(k.tokens, tokens) >= DUPLICATE_SIMILARITY)) continue;
+    kept.push({ article, tokens });
+  }
+
+  return kept.map(k => k.article);
+}
+
+module.exports = { buildAssetMatchers, tagArticle, dedupeArticles };
@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const { http } = require("./http");
+
+/* ------------------------------------------------------
+   NEWS SOURCES (RSS / ATOM / HTML)
+   Each configured source is refreshed on its own interval
+   and normalized to the Finnhub article shape:
+     { category, datetime, headline, id, image, related,
+       source, summary, url }
+   A failing source keeps serving its last good articles
+   and backs off without affecting the others.
+------------------------------------------------------ */
+const DEFAULT_REFRESH_MINUTES = 15;
+const MAX_BACKOFF_MINUTES = 60;
+const SUMMARY_LENGTH = 400;
+const SOURCE_TYPES = ["rss", "html"];
+
+const clean = (text) => String(text || "").replace(/\s+/g, " ").trim();
+
+// Descriptions often carry markup; keep the readable text only
+function plainText(html) {
+  const text = clean(cheerio.load(`<div>${html || ""}</div>`)("div").first().text());
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1)}…` : text;
+}
+
+function unixTime(value) {
+  const ms = Date.parse(clean(value));
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+function absoluteUrl(href, base) {
+  if (!href) return null;
+
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+const articleId = (source, url) =>
+  `${source.id}-${crypto.createHash("sha1").update(url).digest("hex").slice(0, 12)}`;
+
+function normalizeArticle(source, { headline, url, summary, datetime, image }) {
+  if (!headline || !url) return null;
+
+  return {
+    category: source.category || "general",
+    // Undated items are treated as just published so they still sort sensibly
+    datetime: datetime ?? Math.floor(Date.now() / 1000),
+    headline: clean(headline),
+    id: articleId(source, url),
+    image: image || "",
+    related: "",
+    source: source.name,
+    summary: summary || "",
+    url
+  };
+}
+
+// RSS 2.0 <item> and Atom <entry> documents
+function parseFeed(xml, source) {
+  const $ = cheerio.load(xml, { xml: true });
+
+  const rss = $("item").toArray().map(el => {
+    const item = $(el);
+    return {
+      headline: item.children("title").text(),
+      url: absoluteUrl(clean(item.children("link").text()) || clean(item.children("guid").text()), source.url),
+      summary: plainText(item.children("description").text()),
+      datetime: unixTime(item.children("pubDate").text() || item.children("dc\\:date").text()),
+      image: item.children("enclosure").attr("url") || item.children("media\\:content").attr("url")
+    };
+  });
+
+  const atom = $("entry").toArray().map(el => {
+    const entry = $(el);
+    const link = entry.children("link[rel='alternate']").attr("href") || entry.children("link").attr("href");
+    return {
+      headline: entry.children("title").text(),
+      url: absoluteUrl(link, source.url),
+      summary: plainText(entry.children("summary").text() || entry.children("content").text()),
+      datetime: unixTime(entry.children("published").text() || entry.children("updated").text())
+    };
+  });
+
+  return [...rss, ...atom].map(item => normalizeArticle(source, item)).filter(Boolean);
+}
+
+// Listing pages scraped with the source's CSS selectors
+function parseHtml(html, source) {
+  const $ = cheerio.load(html);
+  const sel = source.selectors || {};
+
+  return $(sel.item).toArray().map(el => {
+    const item = $(el);
+    const pick = (selector) => (selector ? item.find(selector).first() : item);
+
+    const linkEl = pick(sel.link);
+    const timeEl = sel.time ? item.find(sel.time).first() : null;
+
+    return normalizeArticle(source, {
+      headline: pick(sel.headline).text(),
+      url: absoluteUrl(linkEl.attr("href"), source.url),
+      summary: sel.summary ? plainText(item.find(sel.summary).first().html()) : "",
+      datetime: timeEl ? unixTime(timeEl.attr("datetime") || timeEl.text()) : null,
+      image: sel.image ? absoluteUrl(item.find(sel.image).first().attr("src"), source.url) : ""
+    });
+  }).filter(Boolean);
+}
+
+function validateSource(source) {
+  if (!source || typeof source !== "object") return "Source must be an object";
+  if (!source.id || !/^[a-z0-9-]+$/.test(source.id)) return "Source id must be lowercase letters, digits or dashes";
+  if (!source.name) return `Source ${source.id} needs a name`;
+  if (!SOURCE_TYPES.includes(source.type)) return `Source ${source.id} type must be one of: ${SOURCE_TYPES.join(", ")}`;
+  if (!absoluteUrl(source.url)) return `Source ${source.id} needs an absolute url`;
+  if (source.type === "html" && !source.selectors?.item) return `HTML source ${source.id} needs selectors.item`;
+  if (source.refreshMinutes !== undefined && !(source.refreshMinutes > 0)) {
+    return `Source ${source.id} refreshMinutes must be positive`;
+  }
+  return null;
+}
+
+/**
+ * sources: see config/news-sources.json; sources with enabled: false are skipped.
+ * fetchText(url) can be swapped out to parse stored fixtures instead of the network.
+ */
+function createNewsAggregator({ sources, fetchText = (url) => http.get(url, { responseType: "text" }).then(r => r.data) }) {
+  const states = new Map();
+
+  sources.forEach(source => {
+    const error = validateSource(source);
+    if (error) {
+      console.warn(`⚠️ Skipping news source: ${error}`);
+      return;
+    }
+    if (source.enabled === false) return;
+
+    states.set(source.id, {
+      source,
+      articles: [],
+      lastSuccessAt: null,
+      lastError: null,
+      failures: 0,
+      nextRefreshAt: 0,
+      inflight: null
+    });
+  });
+
+  async function refresh(state) {
+    const { source } = state;
+    const intervalMs = (source.refreshMinutes || DEFAULT_REFRESH_MINUTES) * 60 * 1000;
+
+    try {
+      const body = await fetchText(source.url);
+      const articles = source.type === "html" ? parseHtml(body, source) : parseFeed(body, source);
+
+      state.articles = articles;
+      state.lastSuccessAt = new Date().toISOString();
+      state.lastError = null;
+      state.failures = 0;
+      state.nextRefreshAt = Date.now() + intervalMs;
+
+      console.log(`📰 ${source.name}: ${articles.length} articles`);
+    } catch (err) {
+      state.failures++;
+      state.lastError = err.message;
+      // Back off on repeated failures, capped so a recovered source is picked up again
+      const backoffMs = Math.min(intervalMs * 2 ** (state.failures - 1), MAX_BACKOFF_MINUTES * 60 * 1000);
+      state.nextRefreshAt = Date.now() + backoffMs;
+
+      console.warn(`⚠️ News source ${source.name} failed (${state.failures}x):`, err.message);
+    }
+  }
+
+  // Refreshes whichever sources are due, then returns every source's latest articles
+  async function articles(category) {
+    const now = Date.now();
+
+    await Promise.all(
+      [...states.values()]
+        .filter(state => !category || (state.source.category || "general") === category)
+        .map(state => {
+          if (state.inflight) return state.inflight;
+          if (now < state.nextRefreshAt) return null;
+
+          state.inflight = refresh(state).finally(() => {
+            state.inflight = null;
+          });
+          return state.inflight;
+        })
+    );
+
+    return [...states.values()]
+      .filter(state => !category || (state.source.category || "general") === category)
+      .flatMap(state => state.articles);
+  }
+
+  function status() {
+    return [...states.values()].map(state => ({
+      id: state.source.id,
+      name: state.source.name,
+      type: state.source.type,
+      url: state.source.url,
+      category: state.source.category || "general",
+      refreshMinutes: state.source.refreshMinutes || DEFAULT_REFRESH_MINUTES,
+      articles: state.articles.length,
+      lastSuccessAt: state.lastSuccessAt,
+      lastError: state.lastError,
+      failures: state.failures,
+      nextRefreshAt: state.nextRefreshAt ? new Date(state.nextRefreshAt).toISOString() : null
+    }));
+  }
+
+  return { articles, status };
+}
+
+module.exports = { createNewsAggregator, parseFeed, parseHtml, validateSource };
@@ -0,0 +1,151 @@
+/* ------------------------------------------------------
+   PORTFOLIO VALUATION
+   Positions: { symbol, quantity, costBasis, costCurrency }
+   where costBasis is the average cost per unit in costCurrency.
+   Everything is valued in ZAR.
+------------------------------------------------------ */
+
+// Currency each holdable asset class is quoted in
+const HOLDING_CURRENCIES = {
+  "jse-stock": "ZAR",
+  "us-stock": "USD",
+  crypto: "USD",
+  commodity: "USD"
+};
+
+const COST_CURRENCIES = ["ZAR", "USD", "EUR", "GBP"];
+
+const round = (n, dp = 2) => (n === null ? null : parseFloat(n.toFixed(dp)));
+
+/**
+ * Validate a new position, or a patch merged over `existing`.
+ * Returns { position } or { error }.
+ */
+function validatePosition(input, resolveSymbol, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  const instrument = resolveSymbol(merged.symbol || "");
+  if (!instrument) return { error: `Unknown symbol "${merged.symbol ?? ""}"` };
+
+  const holdingCurrency = HOLDING_CURRENCIES[instrument.assetClass];
+  if (!holdingCurrency) {
+    return { error: `${instrument.name} (${instrument.assetClass}) cannot be held in a portfolio` };
+  }
+
+  const quantity = Number(merged.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return { error: "quantity must be a positive number" };
+  }
+
+  const costBasis = Number(merged.costBasis);
+  if (merged.costBasis === null || merged.costBasis === "" || !Number.isFinite(costBasis) || costBasis < 0) {
+    return { error: "costBasis (cost per unit) must be a non-negative number" };
+  }
+
+  const costCurrency = String(merged.costCurrency || holdingCurrency).toUpperCase();
+  if (!COST_CURRENCIES.includes(costCurrency)) {
+    return { error: `costCurrency must be one of: ${COST_CURRENCIES.join(", ")}` };
+  }
+
+  return {
+    position: {
+      symbol: instrument.name,
+      assetClass: instrument.assetClass,
+      quantity,
+      costBasis,
+      costCurrency
+    }
+  };
+}
+
+/**
+ * Value positions in ZAR.
+ *   quoteFor(position) → { price, rawChange } in the holding currency, or null
+ *   zarRate(currency)  → ZAR per unit of currency, or null when unavailable
+ */
+function valuePositions(positions, { quoteFor, zarRate }) {
+  const valued = positions.map(position => {
+    const currency = HOLDING_CURRENCIES[position.assetClass];
+    const quote = quoteFor(position);
+    const priceRate = zarRate(currency);
+    const costRate = zarRate(position.costCurrency);
+
+    const base = {
+      id: position.id,
+      symbol: position.symbol,
+      assetClass: position.assetClass,
+      quantity: position.quantity,
+      costBasis: position.costBasis,
+      costCurrency: position.costCurrency,
+      currency
+    };
+
+    if (!quote) return { ...base, error: "Quote unavailable" };
+    if (priceRate === null || costRate === null) {
+      return { ...base, price: quote.price, error: "Exchange rate to ZAR unavailable" };
+    }
+
+    const previousPrice = quote.price / (1 + quote.rawChange / 100);
+    const marketValue = position.quantity * quote.price * priceRate;
+    const costValue = position.quantity * position.costBasis * costRate;
+    const unrealizedPnl = marketValue - costValue;
+    const dailyPnl = position.quantity * (quote.price - previousPrice) * priceRate;
+
+    return {
+      ...base,
+      price: quote.price,
+      rawChange: quote.rawChange,
+      marketValueZAR: marketValue,
+      costValueZAR: costValue,
+      unrealizedPnlZAR: unrealizedPnl,
+      unrealizedPnlPct: costValue ? (unrealizedPnl / costValue) * 100 : null,
+      dailyPnlZAR: dailyPnl
+    };
+  });
+
+  const priced = valued.filter(p => p.error === undefined);
+  const sum = (field) => priced.reduce((total, p) => total + p[field], 0);
+
+  const totalValue = sum("marketValueZAR");
+  const totalCost = sum("costValueZAR");
+  const totalUnrealized = sum("unrealizedPnlZAR");
+  const totalDaily = sum("dailyPnlZAR");
+
+  const byClass = {};
+  priced.forEach(p => {
+    byClass[p.assetClass] = (byClass[p.assetClass] || 0) + p.marketValueZAR;
+  });
+
+  const allocation = Object.entries(byClass)
+    .map(([assetClass, value]) => ({
+      assetClass,
+      marketValueZAR: round(value),
+      weightPct: totalValue ? round((value / totalValue) * 100) : 0
+    }))
+    .sort((a, b) => b.marketValueZAR - a.marketValueZAR);
+
+  return {
+    currency: "ZAR",
+    positions: valued.map(p => ({
+      ...p,
+      marketValueZAR: round(p.marketValueZAR ?? null),
+      costValueZAR: round(p.costValueZAR ?? null),
+      unrealizedPnlZAR: round(p.unrealizedPnlZAR ?? null),
+      unrealizedPnlPct: round(p.unrealizedPnlPct ?? null),
+      dailyPnlZAR: round(p.dailyPnlZAR ?? null),
+      weightPct: totalValue && p.marketValueZAR ? round((p.marketValueZAR / totalValue) * 100) : null
+    })),
+    totals: {
+      marketValueZAR: round(totalValue),
+      costValueZAR: round(totalCost),
+      unrealizedPnlZAR: round(totalUnrealized),
+      unrealizedPnlPct: totalCost ? round((totalUnrealized / totalCost) * 100) : null,
+      dailyPnlZAR: round(totalDaily),
+      dailyPnlPct: totalValue - totalDaily ? round((totalDaily / (totalValue - totalDaily)) * 100) : null,
+      unpricedPositions: valued.length - priced.length
+    },
+    allocation
+  };
+}
+
+module.exports = { HOLDING_CURRENCIES, COST_CURRENCIES, validatePosition, valuePositions };
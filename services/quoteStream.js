@@ -0,0 +1,128 @@
+/* ------------------------------------------------------
+   LIVE QUOTE STREAM (Server-Sent Events)
+   One refresh loop quotes the union of every client's
+   subscriptions and pushes changed quotes to the clients
+   that asked for them. Clients reconnect (EventSource does
+   this automatically) with the same symbol list and get a
+   snapshot of the latest known quotes straight away.
+------------------------------------------------------ */
+function createQuoteStream({ getQuote, refreshMs, heartbeatMs, retryMs = 5000 }) {
+  const clients = new Map();
+  const latest = new Map();
+  let nextClientId = 1;
+  let eventId = 0;
+  let refreshTimer = null;
+  let heartbeatTimer = null;
+  let refreshing = false;
+
+  function send(res, event, data) {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function subscribedSymbols() {
+    const union = new Map();
+    for (const client of clients.values()) {
+      for (const [symbol, instrument] of client.instruments) union.set(symbol, instrument);
+    }
+    return union;
+  }
+
+  async function refresh() {
+    if (refreshing) return;
+    refreshing = true;
+
+    try {
+      for (const [symbol, instrument] of subscribedSymbols()) {
+        try {
+          const quote = await getQuote(instrument);
+          const previous = latest.get(symbol);
+
+          if (previous && previous.price === quote.price && previous.rawChange === quote.rawChange) continue;
+
+          latest.set(symbol, quote);
+
+          for (const client of clients.values()) {
+            if (client.instruments.has(symbol)) send(client.res, "quote", quote);
+          }
+        } catch (err) {
+          console.warn(`⚠️ Stream refresh error ${symbol}:`, err.message);
+        }
+      }
+    } finally {
+      refreshing = false;
+    }
+  }
+
+  function heartbeat() {
+    const payload = `event: heartbeat\ndata: ${JSON.stringify({ time: new Date().toISOString() })}\n\n`;
+    for (const client of clients.values()) client.res.write(payload);
+  }
+
+  function start() {
+    if (refreshTimer) return;
+    refreshTimer = setInterval(refresh, refreshMs);
+    heartbeatTimer = setInterval(heartbeat, heartbeatMs);
+  }
+
+  function stop() {
+    clearInterval(refreshTimer);
+    clearInterval(heartbeatTimer);
+    refreshTimer = null;
+    heartbeatTimer = null;
+  }
+
+  /**
+   * Attach an HTTP response as an SSE client for the given resolved
+   * instruments. The connection stays open until the client disconnects.
+   */
+  function subscribe(req, res, instruments) {
+    const id = nextClientId++;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const client = {
+      res,
+      instruments: new Map(instruments.map(i => [i.symbol, i]))
+    };
+    clients.set(id, client);
+
+    send(res, "subscribed", {
+      clientId: id,
+      symbols: instruments.map(i => i.name),
+      resumedFrom: req.get("Last-Event-ID") || null
+    });
+
+    const snapshot = instruments.map(i => latest.get(i.symbol)).filter(Boolean);
+    send(res, "snapshot", snapshot);
+
+    req.on("close", () => {
+      clients.delete(id);
+      if (clients.size === 0) stop();
+    });
+
+    start();
+
+    // Quote anything we have not seen yet without waiting for the next tick
+    if (snapshot.length < instruments.length) refresh();
+  }
+
+  function stats() {
+    return {
+      clients: clients.size,
+      symbols: [...subscribedSymbols().values()].map(i => i.name),
+      running: Boolean(refreshTimer)
+    };
+  }
+
+  return { subscribe, stats };
+}
+
+module.exports = { createQuoteStream };
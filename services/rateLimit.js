@@ -0,0 +1,111 @@
+/* ------------------------------------------------------
+   INBOUND RATE LIMITING
+   Fixed windows per (client, rule). A client is an API key,
+   a user, or an IP address; each request path is matched to
+   the first rule whose pattern fits, else the default rule.
+   Counters and usage live in memory and reset on restart;
+   usage for clients idle longer than `usageRetentionMs` is
+   dropped, and past `maxClients` the longest idle goes first.
+------------------------------------------------------ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+const DEFAULT_USAGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_CLIENTS = 10000;
+
+// "/history/AAPL" → "history": usage is reported per endpoint family
+const routeFamily = (path) => path.split("/").filter(Boolean)[0] || "/";
+
+/**
+ * rules: [{ name, route: RegExp, limit, windowMs }], first match wins
+ * defaultRule: { name, limit, windowMs } for every other path
+ */
+function createRateLimiter({
+  rules,
+  defaultRule,
+  usageRetentionMs = DEFAULT_USAGE_RETENTION_MS,
+  maxClients = DEFAULT_MAX_CLIENTS
+}) {
+  const windows = new Map();
+  const usage = new Map();
+  const since = new Date().toISOString();
+
+  const ruleFor = (path) => rules.find(r => r.route.test(path)) || defaultRule;
+
+  function record(client, label, family, limited) {
+    const now = new Date().toISOString();
+    let entry = usage.get(client);
+
+    if (!entry) {
+      entry = { client, label: label || null, total: 0, limited: 0, routes: {}, firstSeen: now, lastSeen: now };
+    }
+
+    // Re-inserting keeps the map ordered from longest idle to most recent
+    usage.delete(client);
+    usage.set(client, entry);
+    if (usage.size > maxClients) usage.delete(usage.keys().next().value);
+
+    entry.label = label || entry.label;
+    entry.total++;
+    if (limited) entry.limited++;
+    entry.routes[family] = (entry.routes[family] || 0) + 1;
+    entry.lastSeen = now;
+  }
+
+  /**
+   * Counts one request from `client` to `path`.
+   * Returns { allowed, rule, limit, remaining, resetAt, retryAfterSeconds }.
+   */
+  function hit(client, path, label) {
+    const rule = ruleFor(path);
+    const key = `${client}|${rule.name}`;
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + rule.windowMs };
+      windows.set(key, window);
+    }
+
+    const allowed = window.count < rule.limit;
+    if (allowed) window.count++;
+    record(client, label, routeFamily(path), !allowed);
+
+    return {
+      allowed,
+      rule,
+      limit: rule.limit,
+      remaining: rule.limit - window.count,
+      resetAt: window.resetAt,
+      retryAfterSeconds: Math.max(1, Math.ceil((window.resetAt - now) / 1000))
+    };
+  }
+
+  function report() {
+    return {
+      since,
+      rules: [...rules, defaultRule].map(({ name, route, limit, windowMs }) => ({
+        name,
+        route: route ? route.source : "*",
+        limit,
+        windowSeconds: windowMs / 1000
+      })),
+      usageRetentionHours: usageRetentionMs / 3600000,
+      clients: [...usage.values()]
+        .map(entry => ({ ...entry, routes: { ...entry.routes } }))
+        .sort((a, b) => b.total - a.total)
+    };
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (now >= window.resetAt) windows.delete(key);
+    });
+    usage.forEach((entry, client) => {
+      if (now - Date.parse(entry.lastSeen) > usageRetentionMs) usage.delete(client);
+    });
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return { hit, report };
+}
+
+module.exports = { createRateLimiter };
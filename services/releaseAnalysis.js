@@ -0,0 +1,129 @@
+/* ------------------------------------------------------
+   ECONOMIC RELEASE ANALYSIS
+   Surprise = actual - forecast (and vs previous). The
+   standardized surprise divides by the standard deviation
+   of the same series' past forecast errors.
+   Reactions are % moves in the related pair and index,
+   measured from the last bar at or before the release.
+------------------------------------------------------ */
+const MIN_SURPRISE_SAMPLES = 4;
+const INLINE_THRESHOLD_PCT = 0.5;
+
+const REACTION_HORIZONS = { "1h": 3600000, "4h": 4 * 3600000, "1d": 86400000 };
+
+// Registry names of the pair and index most sensitive to each currency's data
+// (config/instruments.json, "reaction" group)
+const REACTION_INSTRUMENTS = {
+  USD: { pair: "EUR/USD", index: "S&P 500" },
+  EUR: { pair: "EUR/USD", index: "Euro Stoxx 50" },
+  GBP: { pair: "GBP/USD", index: "FTSE 100" },
+  JPY: { pair: "USD/JPY", index: "Nikkei 225" },
+  ZAR: { pair: "USD/ZAR", index: "JSE Top 40" },
+  AUD: { pair: "AUD/USD", index: "ASX 200" },
+  CAD: { pair: "USD/CAD", index: "S&P/TSX" },
+  CHF: { pair: "USD/CHF", index: "SMI" },
+  CNY: { pair: "USD/CNY", index: "Shanghai Composite" },
+  NZD: { pair: "NZD/USD", index: "NZX 50" }
+};
+
+// FMP mixes numbers and strings like "3.2%" or "1.5K"
+function releaseValue(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+
+  const n = parseFloat(value.replace(/[,%]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function difference(actual, reference) {
+  if (actual === null || reference === null) return null;
+
+  const absolute = actual - reference;
+  return {
+    absolute,
+    percent: reference !== 0 ? (absolute / Math.abs(reference)) * 100 : null
+  };
+}
+
+// Series key shared by every release of the same indicator
+const seriesKey = (event) => `${event.country}|${event.event}`.toLowerCase();
+
+/**
+ * event: calendar event with actual/forecast/previous
+ * pastErrors: actual - forecast of earlier releases of the same series
+ * Returns null until the event has an actual.
+ */
+function computeSurprise(event, pastErrors = []) {
+  const actual = releaseValue(event.actual);
+  if (actual === null) return null;
+
+  const vsForecast = difference(actual, releaseValue(event.forecast));
+  const vsPrevious = difference(actual, releaseValue(event.previous));
+
+  let standardized = null;
+  if (vsForecast && pastErrors.length >= MIN_SURPRISE_SAMPLES) {
+    const mean = pastErrors.reduce((a, b) => a + b, 0) / pastErrors.length;
+    const variance = pastErrors.reduce((sum, e) => sum + (e - mean) ** 2, 0) / (pastErrors.length - 1);
+    const std = Math.sqrt(variance);
+    standardized = std > 0 ? vsForecast.absolute / std : null;
+  }
+
+  let direction = null;
+  if (vsForecast) {
+    const pct = vsForecast.percent;
+    const inline = pct !== null ? Math.abs(pct) < INLINE_THRESHOLD_PCT : vsForecast.absolute === 0;
+    direction = inline ? "inline" : vsForecast.absolute > 0 ? "above" : "below";
+  }
+
+  return {
+    actual,
+    vsForecast,
+    vsPrevious,
+    standardized,
+    direction,
+    samples: pastErrors.length
+  };
+}
+
+/**
+ * candles: [{ timestamp, close }] ascending
+ * Returns { baseline, moves: { "1h": pct | null, ... } }; a horizon is null
+ * until enough time has passed for a bar to close after it.
+ */
+function measureReaction(candles, releaseTime) {
+  const release = new Date(releaseTime).getTime();
+  const points = candles.map(c => ({ time: new Date(c.timestamp).getTime(), close: c.close }));
+
+  const lastAtOrBefore = (time) => {
+    let found = null;
+    for (const p of points) {
+      if (p.time > time) break;
+      found = p;
+    }
+    return found;
+  };
+
+  const baseline = lastAtOrBefore(release);
+  const latest = points.at(-1);
+  const moves = {};
+
+  Object.entries(REACTION_HORIZONS).forEach(([horizon, ms]) => {
+    const target = release + ms;
+    const point = baseline && latest && latest.time >= target ? lastAtOrBefore(target) : null;
+    moves[horizon] = point && baseline.close ? ((point.close - baseline.close) / baseline.close) * 100 : null;
+  });
+
+  return {
+    baseline: baseline ? { timestamp: new Date(baseline.time).toISOString(), close: baseline.close } : null,
+    moves
+  };
+}
+
+module.exports = {
+  REACTION_HORIZONS,
+  REACTION_INSTRUMENTS,
+  releaseValue,
+  seriesKey,
+  computeSurprise,
+  measureReaction
+};
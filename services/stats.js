@@ -0,0 +1,145 @@
+/* ------------------------------------------------------
+   STATISTICS HELPERS
+------------------------------------------------------ */
+
+// ✅ Pearson Correlation Calculation
+function calculateCorrelation(arr1, arr2) {
+  const n = arr1.length;
+  if (n !== arr2.length || n === 0) return 0;
+
+  const mean1 = arr1.reduce((a, b) => a + b, 0) / n;
+  const mean2 = arr2.reduce((a, b) => a + b, 0) / n;
+
+  let numerator = 0;
+  let sum1 = 0;
+  let sum2 = 0;
+
+  for (let i = 0; i < n; i++) {
+    const diff1 = arr1[i] - mean1;
+    const diff2 = arr2[i] - mean2;
+    numerator += diff1 * diff2;
+    sum1 += diff1 * diff1;
+    sum2 += diff2 * diff2;
+  }
+
+  const denominator = Math.sqrt(sum1 * sum2);
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+// ln(p[i] / p[i-1]); one element shorter than the input
+function logReturns(prices) {
+  const out = [];
+  for (let i = 1; i < prices.length; i++) out.push(Math.log(prices[i] / prices[i - 1]));
+  return out;
+}
+
+// Calendar date (YYYY-MM-DD) of a timestamp in the exchange's own timezone
+function tradingDate(timestamp, timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", { timeZone: timeZone || "UTC" }).format(new Date(timestamp));
+  } catch {
+    return new Date(timestamp).toISOString().split("T")[0];
+  }
+}
+
+// Candles → Map(date → close), keeping the last close seen for each date
+function closesByDate(candles, timeZone) {
+  const map = new Map();
+  candles.forEach(c => map.set(tradingDate(c.timestamp, timeZone), c.close));
+  return map;
+}
+
+/**
+ * Align two date → close maps on the dates both traded and return their
+ * log returns over those shared dates, so every return spans the same
+ * interval for both assets. Resolves to { dates, returns1, returns2 }.
+ */
+function alignedReturns(closes1, closes2) {
+  const dates = [...closes1.keys()].filter(d => closes2.has(d)).sort();
+  return {
+    dates: dates.slice(1),
+    returns1: logReturns(dates.map(d => closes1.get(d))),
+    returns2: logReturns(dates.map(d => closes2.get(d)))
+  };
+}
+
+/* ------------------------------------------------------
+   SIGNIFICANCE (two-tailed t-test on Pearson r)
+------------------------------------------------------ */
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (let j = 0; j < 6; j++) ser += c[j] / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes)
+function betaContinuedFraction(a, b, x) {
+  const MAX_ITERATIONS = 200;
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+
+  return h;
+}
+
+function regularizedIncompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-tailed p-value for H0: rho = 0, given r over n observations
+function correlationPValue(r, n) {
+  if (n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+
+  const df = n - 2;
+  const t2 = (r * r * df) / (1 - r * r);
+  return regularizedIncompleteBeta(df / 2, 0.5, df / (df + t2));
+}
+
+module.exports = {
+  calculateCorrelation,
+  logReturns,
+  tradingDate,
+  closesByDate,
+  alignedReturns,
+  correlationPValue
+};
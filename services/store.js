@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/* ------------------------------------------------------
+   LOCAL JSON STORE
+   Each collection is a JSON array in DATA_DIR/<name>.json,
+   loaded once and rewritten atomically on every change.
+------------------------------------------------------ */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+function createStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let records = [];
+
+  try {
+    records = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`⚠️ Could not read store ${name}:`, err.message);
+  }
+
+  function persist() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  const all = () => records.slice();
+  const get = (id) => records.find(r => r.id === id) || null;
+  const find = (predicate) => records.filter(predicate);
+
+  function insert(data) {
+    const now = new Date().toISOString();
+    const record = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+    records.push(record);
+    persist();
+    return record;
+  }
+
+  function update(id, patch) {
+    const index = records.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    records[index] = { ...records[index], ...patch, id, updatedAt: new Date().toISOString() };
+    persist();
+    return records[index];
+  }
+
+  function remove(id) {
+    const index = records.findIndex(r => r.id === id);
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    persist();
+    return true;
+  }
+
+  // Insert or merge many records by id with a single write (used for syncing feeds)
+  function upsertMany(items) {
+    const now = new Date().toISOString();
+    const byId = new Map(records.map((r, i) => [r.id, i]));
+
+    items.forEach(item => {
+      const index = byId.get(item.id);
+      if (index === undefined) {
+        byId.set(item.id, records.length);
+        records.push({ ...item, createdAt: now, updatedAt: now });
+      } else {
+        records[index] = { ...records[index], ...item, updatedAt: now };
+      }
+    });
+
+    if (items.length) persist();
+    return items.length;
+  }
+
+  // Drop records matching `predicate` (used for cascades and pruning)
+  function removeWhere(predicate) {
+    const before = records.length;
+    records = records.filter(r => !predicate(r));
+    if (records.length !== before) persist();
+    return before - records.length;
+  }
+
+  return { all, get, find, insert, update, upsertMany, remove, removeWhere };
+}
+
+module.exports = { createStore, DATA_DIR };
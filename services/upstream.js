@@ -0,0 +1,191 @@
+const { sleep } = require("./http");
+
+/* ------------------------------------------------------
+   UPSTREAM REQUEST SCHEDULER
+   Every call to a data provider goes through its queue:
+     - a token bucket holds it to `rps` (bursting to `burst`)
+     - at most `concurrency` calls are in flight
+     - `dailyBudget` units per UTC day; once spent, calls fail
+       fast so the provider chain moves on to the next one
+     - a call costs 1 unit unless it says otherwise (e.g. one
+       per symbol for providers that bill batch requests per
+       symbol); the cost is taken from both bucket and budget
+     - 429 / 5xx / dropped connections are retried with
+       exponential backoff and full jitter (Retry-After wins)
+   Counters are in memory and restart with the process.
+------------------------------------------------------ */
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN"];
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+const nextUtcMidnight = () => {
+  const d = new Date();
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+};
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(err.code);
+}
+
+// Retry-After in seconds or as an HTTP date; null when absent
+function retryAfterMs(err) {
+  const header = err.response?.headers?.["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt, err) {
+  const hinted = retryAfterMs(err);
+  if (hinted !== null) return Math.min(hinted, MAX_RETRY_DELAY_MS);
+  return Math.random() * Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * limits: { [provider]: { rps, burst?, concurrency, dailyBudget? } }
+ * run(provider, call, cost = 1) queues call() (a function returning a
+ * promise) and resolves with its result after any retries; every attempt
+ * is charged `cost` units.
+ */
+function createUpstreamScheduler({ limits, maxRetries = DEFAULT_MAX_RETRIES }) {
+  const states = new Map();
+
+  Object.entries(limits).forEach(([name, limit]) => {
+    const burst = limit.burst || Math.max(1, Math.ceil(limit.rps));
+    states.set(name, {
+      name,
+      limit: { ...limit, burst },
+      tokens: burst,
+      refilledAt: Date.now(),
+      active: 0,
+      queue: [],
+      timer: null,
+      day: utcDay(),
+      usedToday: 0,
+      calls: 0,
+      retries: 0,
+      failures: 0,
+      budgetRejections: 0,
+      lastError: null
+    });
+  });
+
+  function refill(state) {
+    const now = Date.now();
+    state.tokens = Math.min(state.limit.burst, state.tokens + ((now - state.refilledAt) / 1000) * state.limit.rps);
+    state.refilledAt = now;
+
+    if (state.day !== utcDay(now)) {
+      state.day = utcDay(now);
+      state.usedToday = 0;
+    }
+  }
+
+  const budgetLeft = (state) =>
+    state.limit.dailyBudget ? state.limit.dailyBudget - state.usedToday : Infinity;
+
+  // A call costing more than the burst waits for a full bucket and leaves it in debt
+  const tokensNeeded = (state, job) => Math.min(job.cost, state.limit.burst);
+
+  // Start as many queued attempts as tokens, concurrency and budget allow
+  function pump(state) {
+    refill(state);
+
+    while (state.queue.length && state.active < state.limit.concurrency && state.tokens >= tokensNeeded(state, state.queue[0])) {
+      const job = state.queue.shift();
+
+      if (budgetLeft(state) < job.cost) {
+        state.budgetRejections++;
+        job.reject(new Error(`${state.name} daily budget of ${state.limit.dailyBudget} units is spent (call costs ${job.cost})`));
+        continue;
+      }
+
+      state.tokens -= job.cost;
+      state.usedToday += job.cost;
+      state.calls++;
+      state.active++;
+
+      job.call()
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          state.active--;
+          pump(state);
+        });
+    }
+
+    // Wake up when the next call's tokens are due
+    if (state.queue.length && state.active < state.limit.concurrency && !state.timer) {
+      const waitMs = Math.ceil(((tokensNeeded(state, state.queue[0]) - state.tokens) / state.limit.rps) * 1000);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        pump(state);
+      }, Math.max(waitMs, 1));
+    }
+  }
+
+  const enqueue = (state, call, cost) =>
+    new Promise((resolve, reject) => {
+      state.queue.push({ call, cost, resolve, reject });
+      pump(state);
+    });
+
+  async function run(name, call, cost = 1) {
+    const state = states.get(name);
+    if (!state) return call();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await enqueue(state, call, cost);
+      } catch (err) {
+        state.lastError = { message: err.message, status: err.response?.status ?? null, at: new Date().toISOString() };
+
+        if (attempt > maxRetries || !isRetryable(err)) {
+          state.failures++;
+          throw err;
+        }
+
+        state.retries++;
+        const delay = backoffMs(attempt, err);
+        console.warn(`⚠️ ${name} ${err.response?.status || err.code}; retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  function status() {
+    return [...states.values()].map(state => {
+      refill(state);
+      const remaining = budgetLeft(state);
+
+      return {
+        provider: state.name,
+        rps: state.limit.rps,
+        burst: state.limit.burst,
+        concurrency: state.limit.concurrency,
+        active: state.active,
+        queued: state.queue.length,
+        dailyBudget: state.limit.dailyBudget || null,
+        usedToday: state.usedToday,
+        remainingToday: remaining === Infinity ? null : Math.max(0, remaining),
+        budgetResetsAt: new Date(nextUtcMidnight()).toISOString(),
+        calls: state.calls,
+        retries: state.retries,
+        failures: state.failures,
+        budgetRejections: state.budgetRejections,
+        lastError: state.lastError
+      };
+    });
+  }
+
+  return { run, status };
+}
+
+module.exports = { createUpstreamScheduler };
@@ -0,0 +1,34 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache } = require("../services/cache");
+
+describe("createCache", () => {
+  test("shares one loader call between concurrent misses", async () => {
+    const cache = createCache();
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    const values = await Promise.all([cache.wrap("k", loader, { ttl: 1000 }), cache.wrap("k", loader, { ttl: 1000 })]);
+    assert.deepEqual(values, [1, 1]);
+    assert.equal(calls, 1);
+  });
+
+  test("evicts the least recently used entry past maxEntries", async () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set("a", 1, 1000);
+    cache.set("b", 2, 1000);
+    assert.equal(cache.get("a"), 1);
+
+    cache.set("c", 3, 1000);
+    assert.deepEqual(cache.stats().map(s => s.key).sort(), ["a", "c"]);
+  });
+
+  test("drops expired entries before live ones", async () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set("live", 1, 60000);
+    cache.set("dead", 2, 0, 0);
+    cache.set("new", 3, 60000);
+
+    assert.deepEqual(cache.stats().map(s => s.key).sort(), ["live", "new"]);
+  });
+});
@@ -0,0 +1,181 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createNewsAggregator, parseFeed, parseHtml, validateSource } = require("../services/newsSources");
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", "news", name), "utf8");
+
+const RSS_SOURCE = { id: "example", name: "Example Business", type: "rss", url: "https://news.example.co.za/feed/" };
+const ATOM_SOURCE = { id: "atom-blog", name: "Atom Blog", type: "rss", url: "https://blog.example.com/feed", category: "forex" };
+const HTML_SOURCE = {
+  id: "listing",
+  name: "Listing",
+  type: "html",
+  url: "https://site.example.com/markets",
+  selectors: {
+    item: "article.story",
+    headline: ".title",
+    link: ".title a",
+    summary: ".excerpt",
+    time: "time",
+    image: "img"
+  }
+};
+
+const unix = (iso) => Date.parse(iso) / 1000;
+
+// Serves fixtures by URL and counts the fetches
+function fixtureFetcher(files) {
+  const fetchText = async (url) => {
+    fetchText.calls.push(url);
+    if (!files[url]) throw new Error(`No fixture for ${url}`);
+    return fixture(files[url]);
+  };
+  fetchText.calls = [];
+  return fetchText;
+}
+
+describe("parseFeed", () => {
+  test("normalizes RSS items to the Finnhub article shape", () => {
+    const [rand, jse] = parseFeed(fixture("rss.xml"), RSS_SOURCE);
+
+    assert.deepEqual(Object.keys(rand).sort(), [
+      "category", "datetime", "headline", "id", "image", "related", "source", "summary", "url"
+    ]);
+    assert.equal(rand.headline, "Rand firms as inflation eases");
+    assert.equal(rand.url, "https://news.example.co.za/markets/rand-firms/");
+    assert.equal(rand.summary, "The rand gained against the dollar after CPI slowed.");
+    assert.equal(rand.datetime, unix("2025-10-14T06:30:00Z"));
+    assert.equal(rand.image, "https://news.example.co.za/img/rand.jpg");
+    assert.equal(rand.source, "Example Business");
+    assert.equal(rand.category, "general");
+    assert.match(rand.id, /^example-[0-9a-f]{12}$/);
+
+    // guid, dc:date and media:content stand in for link, pubDate and enclosure
+    assert.equal(jse.url, "https://news.example.co.za/markets/jse-miners/");
+    assert.equal(jse.datetime, unix("2025-10-14T15:10:00Z"));
+    assert.equal(jse.image, "https://news.example.co.za/img/jse.jpg");
+  });
+
+  test("resolves relative links, dates undated items now and drops untitled ones", () => {
+    const before = Math.floor(Date.now() / 1000);
+    const articles = parseFeed(fixture("rss.xml"), RSS_SOURCE);
+
+    assert.equal(articles.length, 3);
+    const relative = articles[2];
+    assert.equal(relative.url, "https://news.example.co.za/economy/relative-story/");
+    assert.ok(relative.datetime >= before);
+    assert.equal(relative.image, "");
+  });
+
+  test("reads Atom entries, preferring the alternate link", () => {
+    const [sarb, gold] = parseFeed(fixture("atom.xml"), ATOM_SOURCE);
+
+    assert.equal(sarb.url, "https://blog.example.com/posts/sarb-holds");
+    assert.equal(sarb.datetime, unix("2025-10-14T13:00:00Z"));
+    assert.equal(sarb.summary, "The MPC kept rates unchanged.");
+    assert.equal(sarb.category, "forex");
+
+    assert.equal(gold.url, "https://blog.example.com/posts/gold-record");
+    assert.equal(gold.datetime, unix("2025-10-13T09:00:00Z"));
+    assert.equal(gold.summary, "Bullion rallied again.");
+  });
+
+  test("gives the same URL the same id", () => {
+    const first = parseFeed(fixture("rss.xml"), RSS_SOURCE);
+    const second = parseFeed(fixture("rss.xml"), RSS_SOURCE);
+    assert.deepEqual(first.map(a => a.id), second.map(a => a.id));
+    assert.equal(new Set(first.map(a => a.id)).size, first.length);
+  });
+});
+
+describe("parseHtml", () => {
+  test("scrapes listing items with the source's selectors", () => {
+    const [bonds, petrol] = parseHtml(fixture("listing.html"), HTML_SOURCE);
+
+    assert.equal(bonds.headline, "Bond yields fall");
+    assert.equal(bonds.url, "https://site.example.com/news/bond-yields-fall");
+    assert.equal(bonds.summary, "Local bonds rallied on Tuesday.");
+    assert.equal(bonds.datetime, unix("2025-10-14T10:00:00Z"));
+    assert.equal(bonds.image, "https://site.example.com/img/bonds.png");
+
+    // Absolute links are kept; the time text is parsed when there is no datetime attribute
+    assert.equal(petrol.url, "https://other.example.org/petrol");
+    assert.equal(petrol.datetime, unix("2025-10-14T07:00:00Z"));
+    assert.equal(petrol.image, "");
+  });
+
+  test("skips items without a link", () => {
+    const articles = parseHtml(fixture("listing.html"), HTML_SOURCE);
+    assert.deepEqual(articles.map(a => a.headline), ["Bond yields fall", "Petrol price cut expected"]);
+  });
+});
+
+describe("validateSource", () => {
+  test("accepts the shipped example shapes", () => {
+    assert.equal(validateSource(RSS_SOURCE), null);
+    assert.equal(validateSource(HTML_SOURCE), null);
+    assert.equal(validateSource({ ...RSS_SOURCE, refreshMinutes: 5 }), null);
+  });
+
+  test("accepts every source in config/news-sources.json", () => {
+    const sources = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "config", "news-sources.json"), "utf8"));
+    sources.forEach(source => assert.equal(validateSource(source), null, source.id));
+  });
+
+  test("rejects malformed sources", () => {
+    const cases = [
+      [null, /must be an object/],
+      [{ ...RSS_SOURCE, id: "Bad Id" }, /id must be lowercase/],
+      [{ ...RSS_SOURCE, name: "" }, /needs a name/],
+      [{ ...RSS_SOURCE, type: "json" }, /type must be one of: rss, html/],
+      [{ ...RSS_SOURCE, url: "/feed" }, /needs an absolute url/],
+      [{ ...HTML_SOURCE, selectors: {} }, /needs selectors.item/],
+      [{ ...RSS_SOURCE, refreshMinutes: 0 }, /refreshMinutes must be positive/]
+    ];
+
+    cases.forEach(([source, message]) => assert.match(validateSource(source), message));
+  });
+});
+
+describe("createNewsAggregator", () => {
+  test("parses each source through the injected fetchText", async () => {
+    const fetchText = fixtureFetcher({
+      [RSS_SOURCE.url]: "rss.xml",
+      [ATOM_SOURCE.url]: "atom.xml",
+      [HTML_SOURCE.url]: "listing.html"
+    });
+    const news = createNewsAggregator({ sources: [RSS_SOURCE, ATOM_SOURCE, HTML_SOURCE], fetchText });
+
+    assert.equal((await news.articles()).length, 7);
+    assert.deepEqual((await news.articles("forex")).map(a => a.headline), ["SARB holds the repo rate", "Gold hits a record"]);
+    // Sources are not fetched again before their refresh interval
+    assert.equal(fetchText.calls.length, 3);
+  });
+
+  test("skips invalid and disabled sources", async () => {
+    const fetchText = fixtureFetcher({ [RSS_SOURCE.url]: "rss.xml" });
+    const news = createNewsAggregator({
+      sources: [RSS_SOURCE, { ...RSS_SOURCE, id: "Bad Id" }, { ...ATOM_SOURCE, enabled: false }],
+      fetchText
+    });
+
+    await news.articles();
+    assert.deepEqual(news.status().map(s => s.id), ["example"]);
+    assert.deepEqual(fetchText.calls, [RSS_SOURCE.url]);
+  });
+
+  test("records a failing source without affecting the others", async () => {
+    const broken = { ...RSS_SOURCE, id: "broken", url: "https://down.example.com/feed" };
+    const fetchText = fixtureFetcher({ [RSS_SOURCE.url]: "rss.xml" });
+    const news = createNewsAggregator({ sources: [RSS_SOURCE, broken], fetchText });
+
+    assert.equal((await news.articles()).length, 3);
+
+    const status = news.status().find(s => s.id === "broken");
+    assert.equal(status.failures, 1);
+    assert.match(status.lastError, /No fixture/);
+    assert.ok(Date.parse(status.nextRefreshAt) > Date.now());
+  });
+});
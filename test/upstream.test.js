@@ -0,0 +1,39 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { createUpstreamScheduler } = require("../services/upstream");
+
+const scheduler = (limit) => createUpstreamScheduler({ limits: { provider: limit }, maxRetries: 0 });
+const ok = async () => "ok";
+
+describe("createUpstreamScheduler", () => {
+  test("charges the daily budget with each call's cost", async () => {
+    const upstream = scheduler({ rps: 100, burst: 10, concurrency: 2, dailyBudget: 10 });
+
+    assert.equal(await upstream.run("provider", ok, 4), "ok");
+    assert.equal(await upstream.run("provider", ok), "ok");
+
+    const [status] = upstream.status();
+    assert.equal(status.usedToday, 5);
+    assert.equal(status.remainingToday, 5);
+    assert.equal(status.calls, 2);
+  });
+
+  test("rejects a call the remaining budget cannot cover", async () => {
+    const upstream = scheduler({ rps: 100, burst: 10, concurrency: 2, dailyBudget: 5 });
+    await upstream.run("provider", ok, 4);
+
+    await assert.rejects(upstream.run("provider", ok, 2), /daily budget of 5 units is spent/);
+    assert.equal(await upstream.run("provider", ok, 1), "ok");
+    assert.equal(upstream.status()[0].budgetRejections, 1);
+  });
+
+  test("waits for the bucket to refill by the call's cost", async () => {
+    const upstream = scheduler({ rps: 20, burst: 4, concurrency: 2 });
+    await upstream.run("provider", ok, 4);
+
+    const start = Date.now();
+    await upstream.run("provider", ok, 2);
+    // Two tokens at 20 per second
+    assert.ok(Date.now() - start >= 90);
+  });
+});